@@ -27,12 +27,15 @@ module.exports = {
     get CordovaCheck () { return require('./src/CordovaCheck'); },
     get PlatformJson () { return require('./src/PlatformJson'); },
     get ConfigParser () { return require('./src/ConfigParser/ConfigParser'); },
+    get PreferenceRegistry () { return require('./src/ConfigParser/PreferenceRegistry'); },
     get FileUpdater () { return require('./src/FileUpdater'); },
 
     get PluginInfo () { return require('./src/PluginInfo/PluginInfo'); },
     get PluginInfoProvider () { return require('./src/PluginInfo/PluginInfoProvider'); },
+    get PluginInfoBuilder () { return require('./src/PluginInfo/PluginInfoBuilder'); },
 
     get PluginManager () { return require('./src/PluginManager'); },
+    get HooksRunner () { return require('./src/HooksRunner'); },
 
     get ConfigChanges () { return require('./src/ConfigChanges/ConfigChanges'); },
     get ConfigKeeper () { return require('./src/ConfigChanges/ConfigKeeper'); },
@@ -31,6 +31,7 @@ const PlatformJson = require('../../src/PlatformJson');
 const PluginInfoProvider = require('../../src/PluginInfo/PluginInfoProvider');
 const PluginInfo = require('../../src/PluginInfo/PluginInfo');
 const ConfigParser = require('../../src/ConfigParser/ConfigParser');
+const CordovaError = require('../../src/CordovaError');
 
 const fixturePath = path.join(__dirname, '../fixtures');
 
@@ -220,6 +221,24 @@ describe('config-changes module', function () {
                 expect(get_munge_change(munge, 'config.xml', '/*', '<access origin="build.phonegap.com" />')).toBeDefined();
                 expect(get_munge_change(munge, 'config.xml', '/*', '<access origin="s3.amazonaws.com" />')).toBeDefined();
             });
+
+            it('should only create munges for config-files that match the engine versions', function () {
+                const plugin = PluginInfo.fromString(`<plugin id="org.test.conditional" version="1.0.0">
+    <platform name="android">
+        <config-file target="AndroidManifest.xml" parent="/manifest" engine="cordova-android" versions=">=12.0.0">
+            <uses-permission android:name="android.permission.POST_NOTIFICATIONS" />
+        </config-file>
+        <config-file target="AndroidManifest.xml" parent="/manifest" engine="cordova-android" versions="&lt;12.0.0">
+            <uses-permission android:name="android.permission.VIBRATE" />
+        </config-file>
+    </platform>
+</plugin>`);
+                const munger = new configChanges.PlatformMunger('android', temp, 'unused', null, pluginInfoProvider);
+
+                const munge = munger.generate_plugin_config_munge(plugin, {}, [], { 'cordova-android': '12.0.0' });
+                expect(get_munge_change(munge, 'AndroidManifest.xml', '/manifest', '<uses-permission android:name="android.permission.POST_NOTIFICATIONS" />')).toBeDefined();
+                expect(get_munge_change(munge, 'AndroidManifest.xml', '/manifest', '<uses-permission android:name="android.permission.VIBRATE" />')).not.toBeDefined();
+            });
         });
     });
 
@@ -235,7 +254,49 @@ describe('config-changes module', function () {
             const munger = new configChanges.PlatformMunger('android', temp, platformJson, pluginInfoProvider);
             const spy = spyOn(munger, 'generate_plugin_config_munge').and.returnValue({});
             munger.process(plugins_dir);
-            expect(spy).toHaveBeenCalledWith(jasmine.any(PluginInfo), {}, []);
+            expect(spy).toHaveBeenCalledWith(jasmine.any(PluginInfo), {}, [], undefined);
+        });
+
+        describe('of plugins with engine conditions', function () {
+            const POST_NOTIFICATIONS = '<uses-permission android:name="android.permission.POST_NOTIFICATIONS" />';
+            const VIBRATE = '<uses-permission android:name="android.permission.VIBRATE" />';
+            let platformJson, provider;
+
+            beforeEach(function () {
+                fs.copySync(android_two_project, temp, { recursive: true });
+
+                provider = new PluginInfoProvider();
+                provider.put(PluginInfo.fromString(`<plugin id="org.test.conditional" version="1.0.0">
+    <platform name="android">
+        <config-file target="AndroidManifest.xml" parent="/manifest" engine="cordova-android" versions=">=12.0.0">
+            ${POST_NOTIFICATIONS}
+        </config-file>
+        <config-file target="AndroidManifest.xml" parent="/manifest" engine="cordova-android" versions="&lt;12.0.0">
+            ${VIBRATE}
+        </config-file>
+    </platform>
+</plugin>`, { dir: path.join(plugins_dir, 'org.test.conditional') }));
+
+                platformJson = PlatformJson.load(plugins_dir, 'android');
+                platformJson.addInstalledPluginToPrepareQueue('org.test.conditional', {});
+            });
+
+            it('should only apply the config-files that match the engine versions', function () {
+                new configChanges.PlatformMunger('android', temp, platformJson, provider)
+                    .process(plugins_dir, { 'cordova-android': '12.0.0' });
+
+                const munge = platformJson.root.config_munge;
+                expect(get_munge_change(munge, 'AndroidManifest.xml', '/manifest', POST_NOTIFICATIONS)).toBeDefined();
+                expect(get_munge_change(munge, 'AndroidManifest.xml', '/manifest', VIBRATE)).not.toBeDefined();
+            });
+
+            it('should apply none of the conditional config-files without engine versions', function () {
+                new configChanges.PlatformMunger('android', temp, platformJson, provider).process(plugins_dir);
+
+                const munge = platformJson.root.config_munge;
+                expect(get_munge_change(munge, 'AndroidManifest.xml', '/manifest', POST_NOTIFICATIONS)).not.toBeDefined();
+                expect(get_munge_change(munge, 'AndroidManifest.xml', '/manifest', VIBRATE)).not.toBeDefined();
+            });
         });
 
         describe(': installation', function () {
@@ -465,7 +526,7 @@ describe('config-changes module', function () {
                     install_plugin(varplugin);
 
                     const platformJson = PlatformJson.load(plugins_dir, 'ios');
-                    platformJson.addInstalledPluginToPrepareQueue('com.adobe.vars', {});
+                    platformJson.addInstalledPluginToPrepareQueue('com.adobe.vars', { API_KEY: 'hi' });
                     configChanges.process(plugins_dir, temp, 'ios', platformJson, pluginInfoProvider);
                     expect(fs.readFileSync(path.join(temp, 'SampleApp', 'SampleApp-Info.plist'), 'utf8')).toMatch(/<key>APluginNode<\/key>\n\t<string\/>/m);
                 });
@@ -525,6 +586,19 @@ describe('config-changes module', function () {
                 expect(platformJson.root.installed_plugins['com.adobe.vars']).toBeDefined();
                 expect(platformJson.root.installed_plugins['com.adobe.vars'].API_KEY).toEqual('hi');
             });
+
+            it('should refuse to install a plugin whose required variables are missing', function () {
+                fs.copySync(android_two_project, temp, { recursive: true });
+                install_plugin(varplugin);
+
+                const platformJson = PlatformJson.load(plugins_dir, 'android');
+                platformJson.addInstalledPluginToPrepareQueue('com.adobe.vars', { PACKAGE_NAME: 'org.test' }, true);
+
+                const munger = new configChanges.PlatformMunger('android', temp, platformJson, pluginInfoProvider);
+                expect(() => munger.process(plugins_dir)).toThrowError(CordovaError, /Plugin com\.adobe\.vars requires the variables API_KEY\./);
+                expect(fs.readFileSync(path.join(temp, 'AndroidManifest.xml'), 'utf8')).not.toContain('$API_KEY');
+                expect(platformJson.root.installed_plugins['com.adobe.vars']).toBeUndefined();
+            });
         });
 
         describe(': uninstallation', function () {
@@ -33,6 +33,20 @@ describe('ConfigFile tests', function () {
                 ConfigFile.prototype.save();
                 expect(fs.writeFileSync).toHaveBeenCalled();
             });
+
+            it('keeps the formatting of xml files if requested', function () {
+                const xmlPath = path.join(__dirname, '../fixtures/test-configfile.xml');
+                const configFile = new ConfigFile(path.dirname(xmlPath), 'android', 'test-configfile.xml');
+                configFile.data.getroot().attrib.version = '1.0.0';
+                spyOn(fs, 'writeFileSync');
+
+                configFile.save({ preserveFormatting: true });
+
+                const original = fs.readFileSync(xmlPath, 'utf8');
+                expect(fs.writeFileSync).toHaveBeenCalledWith(
+                    xmlPath, original.replace('version="0.0.1"', 'version="1.0.0"'), 'utf8'
+                );
+            });
         });
     });
 
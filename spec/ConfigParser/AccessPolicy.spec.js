@@ -0,0 +1,148 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+const AccessPolicy = require('../../src/ConfigParser/AccessPolicy');
+const CordovaError = require('../../src/CordovaError');
+
+describe('AccessPolicy', function () {
+    const makePolicy = ({ accesses = [], navigations = [], intents = [] }) => new AccessPolicy({
+        getAccesses: () => accesses,
+        getAllowNavigations: () => navigations,
+        getAllowIntents: () => intents
+    });
+
+    describe('matching', function () {
+        let policy;
+        beforeEach(function () {
+            policy = makePolicy({
+                accesses: [
+                    { origin: 'https://api.example.com' },
+                    { origin: '*.cdn.example.com/assets/*' },
+                    { origin: 'http://localhost:8080' },
+                    { origin: 'https://secure.example.net:443/*' },
+                    { origin: 'https://legacy.example.org', subdomains: 'true' }
+                ],
+                navigations: [
+                    { href: '*://*.example.com/app/*' }
+                ],
+                intents: [
+                    { href: 'tel:*' },
+                    { href: 'mailto:support@*' },
+                    { href: 'com.example.myapp:*' }
+                ]
+            });
+        });
+
+        it('should match hosts exactly', function () {
+            expect(policy.isRequestAllowed('https://api.example.com/v1/users')).toBe(true);
+            expect(policy.isRequestAllowed('https://API.example.com')).toBe(true);
+            expect(policy.isRequestAllowed('https://evil-api.example.com')).toBe(false);
+            expect(policy.isRequestAllowed('http://api.example.com')).toBe(false);
+        });
+
+        it('should match subdomains and default to http and https', function () {
+            expect(policy.isRequestAllowed('http://cdn.example.com/assets/app.js')).toBe(true);
+            expect(policy.isRequestAllowed('https://eu.cdn.example.com/assets/app.js')).toBe(true);
+            expect(policy.isRequestAllowed('https://eu.cdn.example.com/other/app.js')).toBe(false);
+            expect(policy.isRequestAllowed('ftp://cdn.example.com/assets/app.js')).toBe(false);
+            expect(policy.isRequestAllowed('https://www.legacy.example.org')).toBe(true);
+        });
+
+        it('should match ports', function () {
+            expect(policy.isRequestAllowed('http://localhost:8080/index.html')).toBe(true);
+            expect(policy.isRequestAllowed('http://localhost:3000/index.html')).toBe(false);
+            expect(policy.isRequestAllowed('https://secure.example.net/x')).toBe(true);
+            expect(policy.isRequestAllowed('https://secure.example.net:8443/x')).toBe(false);
+        });
+
+        it('should match any scheme and paths for navigations', function () {
+            expect(policy.isNavigationAllowed('ionic://www.example.com/app/index.html')).toBe(true);
+            expect(policy.isNavigationAllowed('https://www.example.com/admin')).toBe(false);
+        });
+
+        it('should match schemes without authority for intents', function () {
+            expect(policy.isIntentAllowed('tel:+15555555555')).toBe(true);
+            expect(policy.isIntentAllowed('mailto:support@example.com')).toBe(true);
+            expect(policy.isIntentAllowed('mailto:sales@example.com')).toBe(false);
+            expect(policy.isIntentAllowed('com.example.myapp://callback?code=1')).toBe(true);
+            expect(policy.isIntentAllowed('sms:+15555555555')).toBe(false);
+        });
+
+        it('should explain which rule allows a URL', function () {
+            const explanation = policy.explain('https://api.example.com/v1');
+
+            expect(explanation.navigation).toBeNull();
+            expect(explanation.intent).toBeNull();
+            expect(explanation.request).toEqual(jasmine.objectContaining({
+                kind: 'request',
+                pattern: 'https://api.example.com',
+                schemes: ['https'],
+                host: 'api.example.com',
+                includeSubdomains: false
+            }));
+        });
+
+        it('should reject invalid URLs', function () {
+            expect(() => policy.isRequestAllowed('not a url')).toThrowError(CordovaError, 'Invalid URL: not a url');
+        });
+
+        it('should allow everything for *', function () {
+            policy = makePolicy({ navigations: [{ href: '*' }] });
+            expect(policy.isNavigationAllowed('data:text/html,hi')).toBe(true);
+            expect(policy.isRequestAllowed('https://example.com')).toBe(false);
+        });
+    });
+
+    describe('getRisks', function () {
+        it('should not flag safe rules', function () {
+            const policy = makePolicy({
+                accesses: [{ origin: 'https://api.example.com', minimum_tls_version: 'TLSv1.2' }],
+                intents: [{ href: 'tel:*' }]
+            });
+            expect(policy.getRisks()).toEqual([]);
+        });
+
+        it('should flag risky rules with their severity', function () {
+            const policy = makePolicy({
+                accesses: [
+                    { origin: '*' },
+                    { origin: 'http://api.example.com' },
+                    { origin: 'https://media.example.com', allows_arbitrary_loads_for_media: 'true' },
+                    { origin: 'https://old.example.com', minimum_tls_version: 'TLSv1.0' }
+                ],
+                navigations: [
+                    { href: '*' },
+                    { href: 'https://*', allows_arbitrary_loads_in_web_content: 'true' }
+                ],
+                intents: [{ href: '*' }]
+            });
+
+            expect(policy.getRisks().map(({ severity, kind, pattern }) => [severity, kind, pattern])).toEqual([
+                ['error', 'navigation', '*'],
+                ['warning', 'navigation', 'https://*'],
+                ['error', 'navigation', 'https://*'],
+                ['warning', 'request', '*'],
+                ['warning', 'request', 'http://api.example.com'],
+                ['warning', 'request', 'https://media.example.com'],
+                ['warning', 'request', 'https://old.example.com'],
+                ['warning', 'intent', '*']
+            ]);
+        });
+    });
+});
@@ -20,6 +20,9 @@
 const path = require('node:path');
 const fs = require('fs-extra');
 const ConfigParser = require('../../src/ConfigParser/ConfigParser');
+const CordovaError = require('../../src/CordovaError');
+const PreferenceRegistry = require('../../src/ConfigParser/PreferenceRegistry');
+const events = require('../../src/events');
 const xml = path.join(__dirname, '../fixtures/test-config.xml');
 const xml_contents = fs.readFileSync(xml, 'utf8');
 
@@ -73,6 +76,64 @@ describe('config.xml parser', function () {
                 cfg.setVersion('2.0.1');
                 expect(cfg.version()).toEqual('2.0.1');
             });
+            it('should set the platform versions', function () {
+                cfg.setAndroidVersionCode(20001);
+                cfg.setIOSBundleVersion('2.0.1');
+                cfg.setWindowsPackageVersion('2.0.1.0');
+                expect(cfg.android_versionCode()).toBe('20001');
+                expect(cfg.ios_CFBundleVersion()).toBe('2.0.1');
+                expect(cfg.windows_packageVersion()).toBe('2.0.1.0');
+            });
+            it('should reject malformed platform versions', function () {
+                expect(() => cfg.setAndroidVersionCode('1.0')).toThrowError(CordovaError, /android-versionCode "1\.0"\. Use a positive integer/);
+                expect(() => cfg.setIOSBundleVersion('1.0.0-beta')).toThrowError(CordovaError, /ios-CFBundleVersion/);
+                expect(() => cfg.setWindowsPackageVersion('1.0.0.0.0')).toThrowError(CordovaError, /windows-packageVersion/);
+                expect(cfg.android_versionCode()).toBeUndefined();
+            });
+            it('should bump the version', function () {
+                expect(cfg.bumpVersion('patch')).toBe('0.0.2');
+                expect(cfg.bumpVersion('minor')).toBe('0.1.0');
+                expect(cfg.bumpVersion('prerelease', { preid: 'rc' })).toBe('0.1.1-rc.0');
+                expect(cfg.bumpVersion('prerelease')).toBe('0.1.1-rc.1');
+                expect(cfg.bumpVersion('major')).toBe('1.0.0');
+                expect(cfg.version()).toBe('1.0.0');
+                expect(cfg.android_versionCode()).toBeUndefined();
+            });
+            it('should derive the platform versions when bumping the version', function () {
+                cfg.setVersion('1.2.3');
+                cfg.bumpVersion('minor', { androidVersionCode: true, iosBundleVersion: true });
+                expect(cfg.android_versionCode()).toBe('10300');
+                expect(cfg.ios_CFBundleVersion()).toBe('1.3.0');
+
+                cfg.bumpVersion('prerelease', {
+                    androidVersionCode: ({ major, minor, patch, prerelease }) => major * 1000000 + minor * 10000 + patch * 100 + prerelease[0],
+                    iosBundleVersion: ({ major, minor }) => `${major}.${minor}`
+                });
+                expect(cfg.version()).toBe('1.3.1-0');
+                expect(cfg.android_versionCode()).toBe('1030100');
+                expect(cfg.ios_CFBundleVersion()).toBe('1.3');
+            });
+            it('should not change anything if a derived platform version is invalid', function () {
+                expect(() => cfg.bumpVersion('patch', { iosBundleVersion: version => version.version + '-beta' }))
+                    .toThrowError(CordovaError, /Invalid ios-CFBundleVersion "0\.0\.2-beta"/);
+                expect(cfg.version()).toBe('0.0.1');
+            });
+            it('should refuse to bump invalid versions', function () {
+                cfg.setVersion('1.0');
+                expect(() => cfg.bumpVersion('patch')).toThrowError(CordovaError, /"1\.0" is not a valid semantic version/);
+                cfg.setVersion('1.0.0');
+                expect(() => cfg.bumpVersion('premajor')).toThrowError(CordovaError, /Unknown release type "premajor"/);
+                expect(cfg.version()).toBe('1.0.0');
+            });
+            it('should refuse to replace placeholders', function () {
+                cfg.setVersion('${pkg:version}'); // eslint-disable-line no-template-curly-in-string
+                expect(() => cfg.bumpVersion('patch')).toThrowError(CordovaError, /version "\$\{pkg:version\}" is a placeholder/);
+
+                cfg.setVersion('1.0.0');
+                cfg.doc.getroot().attrib['ios-CFBundleVersion'] = '${var:build}'; // eslint-disable-line no-template-curly-in-string
+                expect(() => cfg.bumpVersion('patch', { iosBundleVersion: true })).toThrowError(CordovaError, /ios-CFBundleVersion .* is a placeholder/);
+                expect(cfg.getAttribute('version')).toBe('1.0.0');
+            });
         });
 
         describe('app name', function () {
@@ -119,6 +180,35 @@ describe('config.xml parser', function () {
                 cfg.setPreference('android-minSdkVersion', 'android', '11');
                 expect(cfg.getPreference('android-minSdkVersion', 'android')).toEqual('11');
             });
+            it('should list the global preferences', function () {
+                expect(cfg.getPreferences()).toEqual({
+                    fullscreen: 'true',
+                    webviewbounce: 'true',
+                    orientation: 'portrait'
+                });
+            });
+            it('should list the preferences of a platform with platform precedence', function () {
+                cfg.setPlatformPreference('Fullscreen', 'android', '');
+
+                expect(cfg.getPreferences('android')).toEqual({
+                    fullscreen: 'true',
+                    webviewbounce: 'true',
+                    orientation: 'landscape',
+                    'android-minSdkVersion': '10'
+                });
+            });
+            it('should remove a global preference', function () {
+                cfg.addElement('preference', { name: 'Fullscreen', value: 'false' });
+
+                cfg.removePreference('FULLSCREEN');
+                expect(cfg.getPreference('fullscreen')).toEqual('');
+                expect(cfg.getPreference('orientation', 'android')).toEqual('landscape');
+            });
+            it('should remove a platform specific preference', function () {
+                cfg.removePreference('orientation', 'android');
+                expect(cfg.getPreference('orientation', 'android')).toEqual('portrait');
+                expect(cfg.getPreferences('android')['android-minSdkVersion']).toEqual('10');
+            });
             it('should overwrite an existing preference', () => {
                 const children = [...cfg.doc.getroot().getchildren()];
                 expect(cfg.getPreference('fullscreen')).toEqual('true');
@@ -153,6 +243,121 @@ describe('config.xml parser', function () {
             it('should throw when setting a preference for unsupported platform', function () {
                 expect(function () { cfg.setPlatformPreference('orientation', 'foobar', 'landscape'); }).toThrow();
             });
+            it('should create the platform block on demand if asked to', function () {
+                cfg.setPlatformPreference('orientation', 'foobar', 'landscape', { createPlatform: true });
+                expect(cfg.getPlatformPreference('orientation', 'foobar')).toEqual('landscape');
+                expect(cfg.getPlatforms()).toContain('foobar');
+            });
+        });
+        describe('engines', function () {
+            beforeEach(function () {
+                cfg.addEngine('android', '^12.0.0');
+                cfg.addEngine('ios', 'https://github.com/apache/cordova-ios.git');
+                cfg.addEngine('electron', 'cordova-electron@>=4');
+            });
+
+            it('should check engine specs against installed versions', function () {
+                expect(cfg.checkEngines({ 'cordova-android': '11.0.0', ios: '7.0.0', electron: '4.0.0' })).toEqual([
+                    { name: 'android', spec: '^12.0.0', installed: '11.0.0', satisfied: false, reason: '11.0.0 does not satisfy ^12.0.0' },
+                    jasmine.objectContaining({ name: 'ios', satisfied: null }),
+                    { name: 'electron', spec: 'cordova-electron@>=4', installed: '4.0.0', satisfied: true }
+                ]);
+            });
+
+            it('should throw an actionable error if asked to', function () {
+                expect(() => cfg.checkEngines({ android: '11.0.0' }, { throwOnFailure: true }))
+                    .toThrowError(CordovaError, /android: 11\.0\.0 does not satisfy \^12\.0\.0\. Install a version matching \^12\.0\.0/);
+                expect(() => cfg.checkEngines({ android: '12.0.0' }, { throwOnFailure: true })).not.toThrow();
+            });
+        });
+        describe('platforms', function () {
+            it('should list the platforms once each', function () {
+                expect(cfg.getPlatforms()).toEqual(['android', 'windows']);
+            });
+            it('should add a platform', function () {
+                cfg.addPlatform('electron');
+                expect(cfg.getPlatforms()).toEqual(['android', 'windows', 'electron']);
+                expect(cfg.doc.find('./platform[@name="electron"]').getchildren()).toEqual([]);
+            });
+            it('should not add a platform twice', function () {
+                const count = cfg.doc.findall('platform').length;
+                cfg.addPlatform('windows');
+                expect(cfg.doc.findall('platform').length).toBe(count);
+            });
+            it('should remove all blocks of a platform', function () {
+                cfg.removePlatform('android');
+                expect(cfg.getPlatforms()).toEqual(['windows']);
+                expect(cfg.getPreference('android-minSdkVersion', 'android')).toEqual('');
+            });
+        });
+        describe('typed preference', function () {
+            let registry;
+            beforeEach(function () {
+                spyOn(events, 'emit');
+
+                registry = new PreferenceRegistry();
+                registry.register('Fullscreen', { type: 'boolean', default: false });
+                registry.register('SplashScreenDelay', { type: 'number', default: 3000, description: 'Splash screen duration in ms' });
+                registry.register('Orientation', { type: 'enum', allowed: ['default', 'portrait', 'landscape'], default: 'default' });
+                registry.register('android-minSdkVersion', { type: 'number', platform: 'android' });
+                cfg = new ConfigParser(xml, { preferenceRegistry: registry });
+            });
+
+            it('should convert boolean preferences', function () {
+                expect(cfg.getBooleanPreference('fullscreen')).toBe(true);
+                cfg.setGlobalPreference('fullscreen', 'FALSE');
+                expect(cfg.getBooleanPreference('fullscreen')).toBe(false);
+            });
+
+            it('should convert number preferences', function () {
+                expect(cfg.getNumberPreference('android-minSdkVersion', 'android')).toBe(10);
+            });
+
+            it('should convert enum preferences to the allowed spelling', function () {
+                cfg.setGlobalPreference('orientation', 'Portrait');
+                expect(cfg.getEnumPreference('orientation', ['portrait', 'landscape'])).toBe('portrait');
+            });
+
+            it('should split list preferences', function () {
+                cfg.setGlobalPreference('AllowedSchemes', ' https, mailto ,,tel');
+                expect(cfg.getListPreference('AllowedSchemes')).toEqual(['https', 'mailto', 'tel']);
+            });
+
+            it('should return the registered default for missing preferences', function () {
+                expect(cfg.getNumberPreference('SplashScreenDelay')).toBe(3000);
+                expect(cfg.getBooleanPreference('zimzooo!')).toBeUndefined();
+            });
+
+            it('should warn about malformed values and use the default', function () {
+                cfg.setGlobalPreference('fullscreen', 'yes');
+
+                expect(cfg.getBooleanPreference('Fullscreen')).toBe(false);
+                expect(events.emit).toHaveBeenCalledWith('warn', jasmine.stringMatching(/Preference "Fullscreen" must be true or false, got "yes"/));
+            });
+
+            it('should throw on malformed values in strict mode', function () {
+                cfg = new ConfigParser(xml, { preferenceRegistry: registry, strict: true });
+                cfg.setGlobalPreference('orientation', 'sideways');
+
+                expect(() => cfg.getEnumPreference('orientation', ['portrait', 'landscape']))
+                    .toThrowError(CordovaError, /must be one of portrait, landscape, got "sideways"/);
+            });
+
+            it('should return all typed and defaulted preferences', function () {
+                expect(cfg.getAllPreferences()).toEqual({
+                    Fullscreen: true,
+                    SplashScreenDelay: 3000,
+                    Orientation: 'portrait',
+                    webviewbounce: 'true'
+                });
+                expect(cfg.getAllPreferences('android')).toEqual({
+                    Fullscreen: true,
+                    SplashScreenDelay: 3000,
+                    Orientation: 'landscape',
+                    'android-minSdkVersion': 10,
+                    webviewbounce: 'true'
+                });
+            });
         });
         describe('plugin', function () {
             it('Test 018 : should read plugin id list', function () {
@@ -251,6 +456,67 @@ describe('config.xml parser', function () {
                 });
                 expect(pluginNames).not.toContain('org.apache.cordova.justaplugin');
             });
+            it('should set the spec of a plugin and drop legacy attributes', function () {
+                cfg.setPluginSpec('org.apache.cordova.pluginwithurlandversion', '^2.0.0');
+
+                expect(cfg.doc.find('./plugin/[@name="org.apache.cordova.pluginwithurlandversion"]').attrib).toEqual({
+                    name: 'org.apache.cordova.pluginwithurlandversion',
+                    spec: '^2.0.0'
+                });
+            });
+            it('should set plugin variables in place', function () {
+                const index = cfg.getPluginIdList().indexOf('org.apache.cordova.pluginwithvars');
+
+                cfg.setPluginVariable('org.apache.cordova.pluginwithvars', 'var', 'newvalue');
+                cfg.setPluginVariable('org.apache.cordova.pluginwithvars', 'other', 'othervalue');
+
+                expect(cfg.getPlugin('org.apache.cordova.pluginwithvars').variables).toEqual({ var: 'newvalue', other: 'othervalue' });
+                expect(cfg.getPluginIdList().indexOf('org.apache.cordova.pluginwithvars')).toBe(index);
+            });
+            it('should remove plugin variables', function () {
+                cfg.removePluginVariable('org.apache.cordova.pluginwithvars', 'var');
+                expect(cfg.getPlugin('org.apache.cordova.pluginwithvars').variables).toEqual({});
+            });
+            it('should throw when editing a missing plugin', function () {
+                expect(() => cfg.setPluginVariable('org.apache.cordova.nope', 'var', 'value'))
+                    .toThrowError(CordovaError, /Plugin org.apache.cordova.nope not found/);
+            });
+            it('should rename a plugin', function () {
+                cfg.renamePlugin('org.apache.cordova.pluginwithvars', 'cordova-plugin-withvars');
+
+                expect(cfg.getPlugin('org.apache.cordova.pluginwithvars')).toBeUndefined();
+                expect(cfg.getPlugin('cordova-plugin-withvars').variables).toEqual({ var: 'varvalue' });
+            });
+            it('should not rename a plugin to an existing one', function () {
+                expect(() => cfg.renamePlugin('org.apache.cordova.justaplugin', 'org.apache.cordova.legacyfeatureurl'))
+                    .toThrowError(CordovaError, /exists already/);
+            });
+            it('should migrate legacy feature entries to plugins in place', function () {
+                const pluginsBefore = cfg.getPlugins();
+                const index = cfg.doc.getroot().getchildren()
+                    .findIndex(elem => elem.tag === 'feature' && elem.find('param').attrib.value === 'org.apache.cordova.legacyfeatureversion');
+
+                expect(cfg.migrateLegacyPlugins()).toEqual([
+                    'org.apache.cordova.legacyfeatureversion',
+                    'org.apache.cordova.legacyfeatureurl',
+                    'org.apache.cordova.legacyfeatureversionandurl'
+                ]);
+
+                expect(cfg.doc.findall('./feature/param[@name="id"]')).toEqual([]);
+                expect(cfg.doc.getroot().getchildren()[index].attrib).toEqual({
+                    name: 'org.apache.cordova.legacyfeatureversion',
+                    spec: '1.2.3'
+                });
+                // Legacy entries report their variables as an array with named properties
+                const normalize = plugins => plugins.map(plugin => Object.assign({}, plugin, { variables: Object.assign({}, plugin.variables) }));
+                expect(normalize(cfg.getPlugins())).toEqual(normalize(pluginsBefore));
+            });
+            it('should migrate a legacy feature entry when editing it', function () {
+                cfg.setPluginVariable('org.apache.cordova.legacyfeatureversion', 'aVar', 'bValue');
+
+                expect(cfg.doc.find('./plugin/[@name="org.apache.cordova.legacyfeatureversion"]')).not.toBeNull();
+                expect(cfg.getPlugin('org.apache.cordova.legacyfeatureversion').variables).toEqual({ aVar: 'bValue' });
+            });
             it('Test 031 : it should remove given legacy feature id', function () {
                 cfg.removePlugin('org.apache.cordova.legacyplugin');
                 const plugins = cfg.doc.findall('feature');
@@ -271,6 +537,76 @@ describe('config.xml parser', function () {
                 const intents = cfg.getAllowIntents();
                 expect(intents.length).not.toEqual(0);
             });
+            it('should analyze the access rules', function () {
+                const policy = cfg.getAccessPolicy();
+                expect(policy.isNavigationAllowed('https://www.server21.com/index.html')).toBe(true);
+                expect(policy.isIntentAllowed('com.example.myapp:foo')).toBe(true);
+                expect(policy.getRisks()).toContain(jasmine.objectContaining({ severity: 'error', kind: 'navigation', pattern: '*' }));
+            });
+            it('should honour the subdomains attribute of access rules', function () {
+                cfg.addAccess({ origin: 'https://example.com', subdomains: 'true' });
+
+                expect(cfg.getAccesses().pop().subdomains).toBeUndefined();
+                expect(cfg.getAccessPolicy().isRequestAllowed('https://a.example.com')).toBe(true);
+            });
+            it('should add an access rule with ATS attributes', function () {
+                cfg.addAccess({ origin: 'https://api.example.com', minimum_tls_version: 'TLSv1.2', requires_forward_secrecy: true });
+
+                expect(cfg.getAccesses().pop()).toEqual(jasmine.objectContaining({
+                    origin: 'https://api.example.com',
+                    minimum_tls_version: 'TLSv1.2',
+                    requires_forward_secrecy: 'true'
+                }));
+                expect(cfg.doc.find('./access[@origin="https://api.example.com"]').attrib).toEqual({
+                    origin: 'https://api.example.com',
+                    'minimum-tls-version': 'TLSv1.2',
+                    'requires-forward-secrecy': 'true'
+                });
+            });
+            it('should replace access rules with the same origin in place', function () {
+                const count = cfg.getAccesses().length;
+                const index = cfg.getAccesses().findIndex(a => a.origin === 'http://server05.com');
+
+                cfg.addAccess({ origin: 'http://server05.com', allows_local_networking: 'true' });
+
+                const accesses = cfg.getAccesses();
+                expect(accesses.length).toBe(count - 1);
+                expect(accesses[index]).toEqual(jasmine.objectContaining({
+                    origin: 'http://server05.com',
+                    minimum_tls_version: undefined,
+                    allows_local_networking: 'true'
+                }));
+            });
+            it('should refuse to add an access rule without origin', function () {
+                expect(() => cfg.addAccess({ minimum_tls_version: 'TLSv1.2' }))
+                    .toThrowError(CordovaError, 'Can not add <access> without origin');
+            });
+            it('should remove all access rules for an origin', function () {
+                cfg.removeAccess('*');
+                expect(cfg.getAccesses().map(a => a.origin)).not.toContain('*');
+            });
+            it('should add and remove allow-navigation rules', function () {
+                cfg.addAllowNavigation({ href: 'https://*.server21.com', requires_certificate_transparency: 'true' });
+                expect(cfg.getAllowNavigations().filter(n => n.href === 'https://*.server21.com')).toEqual([{
+                    href: 'https://*.server21.com',
+                    minimum_tls_version: undefined,
+                    requires_forward_secrecy: undefined,
+                    requires_certificate_transparency: 'true'
+                }]);
+
+                cfg.removeAllowNavigation('https://*.server21.com');
+                expect(cfg.getAllowNavigations().map(n => n.href)).not.toContain('https://*.server21.com');
+            });
+            it('should add allow-intent rules once', function () {
+                const count = cfg.getAllowIntents().length;
+
+                cfg.addAllowIntent({ href: 'tel:*' });
+                cfg.addAllowIntent({ href: 'tel:*' });
+                expect(cfg.getAllowIntents().length).toBe(count + 1);
+
+                cfg.removeAllowIntent('tel:*');
+                expect(cfg.getAllowIntents().length).toBe(count);
+            });
             it('Test 035: it should read <edit-config> tag entries', function () {
                 const editConfigs = cfg.getEditConfigs('android');
                 expect(editConfigs.length).not.toEqual(0);
@@ -280,6 +616,256 @@ describe('config.xml parser', function () {
                 expect(configFiles.length).not.toEqual(0);
             });
         });
+        describe('write', function () {
+            beforeEach(function () {
+                spyOn(fs, 'writeFileSync');
+            });
+
+            it('should re-serialize the whole document by default', function () {
+                cfg.write();
+                expect(fs.writeFileSync).toHaveBeenCalledWith(xml, cfg.doc.write({ indent: 4 }), 'utf8');
+            });
+
+            it('should only rewrite what changed if formatting is preserved', function () {
+                cfg.setVersion('1.0.0');
+                cfg.removePlugin('org.apache.cordova.justaplugin');
+
+                cfg.write({ preserveFormatting: true });
+                expect(fs.writeFileSync).toHaveBeenCalledWith(xml, xml_contents
+                    .replace('version="0.0.1"', 'version="1.0.0"')
+                    .replace('    <plugin name="org.apache.cordova.justaplugin" />\n', ''), 'utf8');
+            });
+
+            it('should remove case-insensitive duplicates of preferences', function () {
+                cfg.addElement('preference', { name: 'FullScreen', value: 'false' });
+                cfg.addElement('preference', { name: 'Orientation', value: 'default' });
+
+                cfg.write({ preserveFormatting: true });
+
+                const written = fs.writeFileSync.calls.argsFor(0)[1];
+                expect(written).not.toContain('<preference name="fullscreen" value="true" />');
+                expect(written).not.toContain('<preference name="orientation" value="portrait" />');
+                expect(written).toContain('<preference name="FullScreen" value="false" />');
+                expect(written).toContain('<preference name="orientation" value="landscape" />');
+                expect(cfg.getPreference('fullscreen')).toBe('false');
+            });
+
+            it('should keep duplicate preferences in the document when writing', function () {
+                cfg.addElement('preference', { name: 'FullScreen', value: 'false' });
+                const preferences = cfg.doc.findall('preference');
+
+                cfg.write();
+
+                expect(fs.writeFileSync.calls.argsFor(0)[1]).not.toContain('<preference name="fullscreen" value="true" />');
+                expect(cfg.doc.findall('preference')).toEqual(preferences);
+                expect(cfg.doc.getroot().getchildren().pop()).toBe(preferences.pop());
+            });
+        });
+
+        describe('JSON', function () {
+            it('should describe config.xml as JSON', function () {
+                cfg.addEngine('android', '^12.0.0');
+                const json = cfg.toJSON();
+
+                expect(json).toEqual(jasmine.objectContaining({
+                    id: 'io.cordova.hellocordova',
+                    version: '0.0.1',
+                    name: 'Hello Cordova',
+                    content: { src: 'index.html' },
+                    engines: [{ name: 'android', spec: '^12.0.0' }]
+                }));
+                expect(json.attributes['ios-CFBundleIdentifier']).toBe('io.cordova.hellocordova.ios');
+                expect(json.author.email).toBe('dev@cordova.apache.org');
+                expect(json.preferences).toEqual({ fullscreen: 'true', webviewbounce: 'true', orientation: 'portrait' });
+                expect(json.plugins).toContain({ name: 'org.apache.cordova.pluginwithvars', variables: { var: 'varvalue' } });
+                expect(json.plugins).toContain({ name: 'org.apache.cordova.legacyfeatureversion', spec: '1.2.3', variables: { aVar: 'aValue' } });
+                expect(json.platforms.android.preferences).toEqual({ 'android-minSdkVersion': '10', orientation: 'landscape' });
+                expect(json.platforms.android.editConfigs[1]).toEqual({
+                    file: 'AndroidManifest.xml',
+                    target: '/manifest/uses-sdk',
+                    mode: 'overwrite',
+                    xml: ['<uses-sdk android:maxSdkVersion="24" android:minSdkVersion="14" android:targetSdkVersion="24" />']
+                });
+                expect(JSON.parse(JSON.stringify(json))).toEqual(json);
+            });
+
+            it('should restore an equivalent config from JSON', function () {
+                cfg.addEngine('android', '^12.0.0');
+                const restored = ConfigParser.fromJSON(cfg.toJSON(), 'restored.xml');
+                const withPlainVariables = plugins => plugins.map(plugin =>
+                    Object.assign({}, plugin, { variables: Object.assign({}, plugin.variables) })
+                );
+
+                expect(restored.path).toBe('restored.xml');
+                ['packageName', 'version', 'name', 'shortName', 'description', 'author', 'ios_CFBundleIdentifier',
+                    'getEngines', 'getAccesses', 'getAllowNavigations', 'getAllowIntents', 'getPreferences']
+                    .forEach(getter => expect(restored[getter]()).toEqual(cfg[getter](), getter));
+                ['android', 'windows'].forEach(platform => {
+                    expect(restored.getPreferences(platform)).toEqual(cfg.getPreferences(platform));
+                    expect(restored.getIcons(platform)).toEqual(cfg.getIcons(platform));
+                    expect(restored.getSplashScreens(platform)).toEqual(cfg.getSplashScreens(platform));
+                    expect(restored.getFileResources(platform, true)).toEqual(cfg.getFileResources(platform, true));
+                    expect(restored.getHookScripts('before_build', [platform]).length).toEqual(cfg.getHookScripts('before_build', [platform]).length);
+                    expect(restored.getEditConfigs(platform).length).toEqual(cfg.getEditConfigs(platform).length);
+                    expect(restored.getConfigFiles(platform).map(c => c.xmls.length)).toEqual(cfg.getConfigFiles(platform).map(c => c.xmls.length));
+                });
+                expect(withPlainVariables(restored.getPlugins())).toEqual(withPlainVariables(cfg.getPlugins()));
+                expect(restored.toJSON()).toEqual(ConfigParser.fromJSON(restored.toJSON()).toJSON());
+            });
+
+            it('should not share state with the JSON it was created from', function () {
+                const json = cfg.toJSON();
+                const restored = ConfigParser.fromJSON(json);
+
+                restored.addAccess({ origin: '*', minimum_tls_version: 'TLSv1.2' });
+                expect(json.access[0]).toEqual({ origin: '*' });
+            });
+        });
+
+        describe('diff', function () {
+            it('should ignore formatting, attribute order and whitespace', function () {
+                fs.readFileSync.and.returnValue(xml_contents
+                    .replace('<icon height="255" id="logo" src="logo.png" width="255" />', '<icon width="255"\n    src="logo.png" id="logo" height="255"></icon>')
+                    .replace('<name>Hello Cordova</name>', '<name>\n  Hello   Cordova\n</name>')
+                    .replace(/<!--[^]*?-->/g, '')
+                    .replace(/>\s+</g, '><'));
+
+                expect(ConfigParser.diff(cfg, new ConfigParser(xml))).toEqual([]);
+            });
+
+            it('should accept paths', function () {
+                expect(ConfigParser.diff(xml, xml)).toEqual([]);
+            });
+
+            it('should report changed variables of legacy feature plugins', function () {
+                fs.readFileSync.and.returnValue(xml_contents.replace('<param name="aVar" value="aValue" />', '<param name="aVar" value="otherValue" />'));
+
+                expect(ConfigParser.diff(cfg, new ConfigParser(xml))).toEqual([
+                    { change: 'changed', kind: 'plugin-variable', platform: null, key: 'aVar', plugin: 'org.apache.cordova.legacyfeatureversion', before: 'aValue', after: 'otherValue' }
+                ]);
+            });
+
+            it('should report no changes after a round trip through JSON', function () {
+                expect(ConfigParser.diff(cfg, ConfigParser.fromJSON(cfg.toJSON()))).toEqual([]);
+            });
+
+            it('should report changed values', function () {
+                const updated = new ConfigParser(xml);
+                updated.setVersion('0.0.2');
+                updated.setName('Goodbye Cordova');
+                updated.setGlobalPreference('fullscreen', 'false');
+                updated.setPlatformPreference('orientation', 'android', 'portrait');
+                updated.setPluginSpec('org.apache.cordova.pluginwithversion', '2.0.0');
+                updated.setPluginVariable('org.apache.cordova.pluginwithvars', 'var', 'other');
+                updated.addAccess({ origin: 'http://server05.com', minimum_tls_version: 'TLSv1.1' });
+
+                expect(ConfigParser.diff(cfg, updated)).toEqual([
+                    { change: 'changed', kind: 'widget', platform: null, key: 'version', before: '0.0.1', after: '0.0.2' },
+                    { change: 'changed', kind: 'metadata', platform: null, key: 'name', before: 'Hello Cordova', after: 'Goodbye Cordova' },
+                    { change: 'changed', kind: 'preference', platform: null, key: 'fullscreen', before: 'true', after: 'false' },
+                    { change: 'changed', kind: 'plugin', platform: null, key: 'org.apache.cordova.pluginwithversion', before: '1.1.1', after: '2.0.0' },
+                    { change: 'changed', kind: 'plugin-variable', platform: null, key: 'var', plugin: 'org.apache.cordova.pluginwithvars', before: 'varvalue', after: 'other' },
+                    {
+                        change: 'changed',
+                        kind: 'access',
+                        platform: null,
+                        key: 'http://server05.com',
+                        before: { origin: 'http://server05.com', minimum_tls_version: 'TLSv1.2', requires_forward_secrecy: 'true' },
+                        after: { origin: 'http://server05.com', minimum_tls_version: 'TLSv1.1' }
+                    },
+                    { change: 'changed', kind: 'preference', platform: 'android', key: 'orientation', before: 'landscape', after: 'portrait' }
+                ]);
+            });
+
+            it('should report added and removed items', function () {
+                const updated = new ConfigParser(xml);
+                updated.addPlatform('ios');
+                updated.setPlatformPreference('deployment-target', 'ios', '13.0');
+                updated.removePlatform('windows');
+                updated.addIcon({ src: 'res/icon-ios.png', platform: 'ios', width: 60, height: 60 });
+                updated.removeIcon({ src: 'logo.png' });
+                updated.removePlugin('org.apache.cordova.justaplugin');
+                updated.addPlugin({ name: 'cordova-plugin-device', spec: '^3.0.0' });
+                updated.addEngine('android', '^12.0.0');
+                updated.removeAllowIntent('com.example.myapp:*');
+
+                const changes = ConfigParser.diff(cfg, updated);
+                const summary = changes.map(({ change, kind, platform, key }) => [change, kind, platform, key].join(' '));
+
+                expect(summary).toEqual([
+                    'removed icon  logo.png',
+                    'removed plugin  org.apache.cordova.justaplugin',
+                    'added plugin  cordova-plugin-device',
+                    'added engine  android',
+                    'removed allow-intent  com.example.myapp:*',
+                    'removed platform  windows',
+                    'added platform  ios',
+                    'added preference ios deployment-target',
+                    'added icon ios res/icon-ios.png',
+                    'removed icon windows res/windows/logo.scale-200.png',
+                    'removed icon windows res/windows/logo-small.scale-400.png',
+                    'removed icon windows res/windows/logo-small.scale-400_48.png',
+                    'removed resource-file windows windowsconfig.json'
+                ]);
+                expect(changes[0].before).toEqual({ src: 'logo.png', width: 255, height: 255 });
+                expect(changes[2].after).toBe('^3.0.0');
+                expect(changes[8].after).toEqual({ src: 'res/icon-ios.png', width: 60, height: 60 });
+            });
+
+            it('should compare the XML of edit-config and config-file elements', function () {
+                const updated = new ConfigParser(xml);
+                updated.doc.find('./platform/edit-config[@mode="merge"]/uses-sdk').attrib['android:targetSdkVersion'] = '34';
+
+                expect(ConfigParser.diff(cfg, updated)).toEqual([{
+                    change: 'changed',
+                    kind: 'edit-config',
+                    platform: 'android',
+                    key: 'AndroidManifest.xml /manifest/uses-sdk merge',
+                    before: ['<uses-sdk android:targetSdkVersion="24" />'],
+                    after: ['<uses-sdk android:targetSdkVersion="34" />']
+                }]);
+            });
+
+            it('should compare all elements with the same key', function () {
+                const config = (permission, density) => `<widget id="io.cordova.hello" version="1.0.0">
+    <platform name="android">
+        <icon src="res/icon.png" density="${density}" />
+        <icon src="res/icon.png" density="xhdpi" />
+        <config-file target="AndroidManifest.xml" parent="/manifest">
+            <uses-permission android:name="${permission}" />
+        </config-file>
+        <config-file target="AndroidManifest.xml" parent="/manifest">
+            <uses-permission android:name="android.permission.INTERNET" />
+        </config-file>
+    </platform>
+</widget>`;
+                fs.readFileSync.and.returnValue(config('android.permission.CAMERA', 'hdpi'));
+                const before = new ConfigParser(xml);
+                fs.readFileSync.and.returnValue(config('android.permission.VIBRATE', 'mdpi'));
+                const after = new ConfigParser(xml);
+
+                expect(ConfigParser.diff(before, after)).toEqual([
+                    {
+                        change: 'changed',
+                        kind: 'icon',
+                        platform: 'android',
+                        key: 'res/icon.png',
+                        before: { src: 'res/icon.png', density: 'hdpi' },
+                        after: { src: 'res/icon.png', density: 'mdpi' }
+                    },
+                    {
+                        change: 'changed',
+                        kind: 'config-file',
+                        platform: 'android',
+                        key: 'AndroidManifest.xml /manifest',
+                        before: { xml: ['<uses-permission android:name="android.permission.CAMERA" />'] },
+                        after: { xml: ['<uses-permission android:name="android.permission.VIBRATE" />'] }
+                    }
+                ]);
+                expect(ConfigParser.diff(before, before)).toEqual([]);
+            });
+        });
+
         describe('static resources', function () {
             const hasPlatformPropertyDefined = function (e) { return !!e.platform; };
             const hasSrcPropertyDefined = function (e) { return !!e.src; };
@@ -329,11 +915,111 @@ describe('config.xml parser', function () {
                 expect(cfg.getStaticResources('android', 'icon').getByDensity('mdpi').src).toBe('logo-android.png');
             });
 
+            describe('getBestMatch', function () {
+                let icons;
+                beforeEach(function () {
+                    icons = ConfigParser.fromJSON({
+                        icons: [{ src: 'default.png' }],
+                        platforms: {
+                            android: {
+                                icons: [
+                                    { src: 'mdpi.png', density: 'mdpi' },
+                                    { src: 'xhdpi.png', density: 'xhdpi' },
+                                    { src: 'store.png', width: '512', height: '512' }
+                                ]
+                            }
+                        }
+                    }).getIcons('android');
+                });
+
+                it('should prefer an exact density match', function () {
+                    expect(icons.getBestMatch({ density: 'xhdpi' })).toEqual({ resource: icons[1], needsScaling: false });
+                });
+
+                it('should convert between densities and pixel sizes', function () {
+                    expect(icons.getBestMatch({ width: 96, height: 96 })).toEqual({ resource: icons[1], needsScaling: false });
+                    expect(icons.getBestMatch({ width: 48 })).toEqual({ resource: icons[0], needsScaling: false });
+                    expect(icons.getBestMatch({ density: 'hdpi' })).toEqual({ resource: icons[1], needsScaling: true });
+                    expect(icons.getBestMatch({ density: 'xxhdpi' })).toEqual({ resource: icons[2], needsScaling: true });
+                    expect(icons.getBestMatch({ width: 100 })).toEqual({ resource: icons[2], needsScaling: true });
+                    expect(icons.getBestMatch({ width: 100 }, { baseSize: 50 })).toEqual({ resource: icons[1], needsScaling: false });
+                });
+
+                it('should fall back to the default resource if nothing is large enough', function () {
+                    expect(icons.getBestMatch({ width: 1024, height: 1024 })).toEqual({ resource: icons.getDefault(), needsScaling: true });
+                    expect(icons.getBestMatch({ density: 'tvdpi' })).toEqual({ resource: icons.getDefault(), needsScaling: true });
+
+                    icons.pop();
+                    icons.defaultResource = undefined;
+                    expect(icons.getBestMatch({ width: 1024, height: 1024 })).toBe(null);
+                });
+
+                it('should respect the orientation of splash screens', function () {
+                    const splashScreens = ConfigParser.fromJSON({
+                        platforms: {
+                            android: {
+                                splash: [
+                                    { src: 'land-hdpi.png', density: 'land-hdpi' },
+                                    { src: 'port-xhdpi.png', density: 'port-xhdpi' }
+                                ]
+                            }
+                        }
+                    }).getSplashScreens('android');
+
+                    expect(splashScreens.getBestMatch({ density: 'land-mdpi' }).resource.src).toBe('land-hdpi.png');
+                    expect(splashScreens.getBestMatch({ density: 'port-mdpi' }).resource.src).toBe('port-xhdpi.png');
+                    expect(splashScreens.getBestMatch({ density: 'land-xhdpi' })).toBe(null);
+                });
+            });
+
             it('Test 042 : should return an array that has a working map method', function () {
                 expect(() =>
                     cfg.getStaticResources(null, 'icon').map(x => x)
                 ).not.toThrow();
             });
+            it('should add a global icon', function () {
+                cfg.addIcon({ src: 'res/icon-512.png', width: 512, height: 512 });
+                expect(cfg.getIcons().getBySize(512, 512)).toEqual(jasmine.objectContaining({
+                    platform: null, src: 'res/icon-512.png', width: 512, height: 512
+                }));
+            });
+            it('should add a platform icon and create the platform block', function () {
+                cfg.addIcon({ platform: 'ios', src: 'res/ios/icon-60@3x.png', width: 180, height: 180, density: undefined });
+
+                const icon = cfg.getIcons('ios').getBySize(180, 180);
+                expect(icon.platform).toBe('ios');
+                expect(cfg.doc.find('./platform[@name="ios"]/icon').attrib).toEqual({
+                    src: 'res/ios/icon-60@3x.png', width: '180', height: '180'
+                });
+            });
+            it('should round-trip resources from getIcons', function () {
+                const icons = cfg.getIcons('android').filter(icon => icon.platform);
+                icons.forEach(icon => cfg.removeIcon(icon));
+                expect(cfg.getIcons('android').filter(icon => icon.platform)).toEqual([]);
+
+                icons.forEach(icon => cfg.addIcon(icon));
+                expect(cfg.getIcons('android').filter(icon => icon.platform)).toEqual(icons);
+            });
+            it('should remove the icons that match all given properties', function () {
+                cfg.removeIcon({ platform: 'windows', target: 'logo.png', width: 72 });
+                expect(cfg.getIcons('windows').map(icon => icon.src)).toEqual([
+                    'res/windows/logo.scale-200.png',
+                    'res/windows/logo-small.scale-400_48.png',
+                    'icon.png',
+                    'logo.png'
+                ]);
+            });
+            it('should match normalized densities when removing', function () {
+                cfg.removeIcon({ platform: 'android', density: 'mdpi' });
+                expect(cfg.getIcons('android').length).toBe(2);
+            });
+            it('should add and remove splash screens', function () {
+                cfg.addSplashScreen({ platform: 'android', src: 'res/screen/port-hdpi.png', density: 'port-hdpi' });
+                expect(cfg.getSplashScreens('android').getByDensity('port-hdpi').src).toBe('res/screen/port-hdpi.png');
+
+                cfg.removeSplashScreen({ platform: 'android', density: 'port-hdpi' });
+                expect(cfg.getSplashScreens('android').length).toBe(0);
+            });
         });
 
         describe('file resources', function () {
@@ -354,6 +1040,250 @@ describe('config.xml parser', function () {
             it('should find resources at the top level', function () {
                 expect(cfg.getFileResources('android', true).length).toBe(3);
             });
+
+            it('should add resources', function () {
+                cfg.addFileResource({ platform: 'windows', src: 'arm.json', target: 'arm.json', arch: 'ARM', deviceTarget: 'phone' });
+                cfg.addFileResource({ src: 'global.json', target: 'global.json' });
+
+                expect(cfg.getFileResources('windows').pop()).toEqual(jasmine.objectContaining({
+                    platform: 'windows', src: 'arm.json', arch: 'ARM', deviceTarget: 'phone'
+                }));
+                expect(cfg.doc.find('./platform[@name="windows"]/resource-file[@src="arm.json"]').attrib['device-target']).toBe('phone');
+                expect(cfg.getFileResources('android', true).length).toBe(4);
+            });
+
+            it('should remove resources by their scope and properties', function () {
+                cfg.removeFileResource({ src: 'appconfig.json' });
+                expect(cfg.getFileResources('android').length).toBe(2);
+
+                cfg.removeFileResource({ platform: 'android', src: 'appconfig.json' });
+                expect(cfg.getFileResources('android').map(r => r.src)).toEqual(['androidconfig.json']);
+
+                cfg.removeFileResource({ platform: 'windows', deviceTarget: 'all' });
+                expect(cfg.getFileResources('windows')).toEqual([]);
+            });
+        });
+    });
+});
+
+describe('config.xml validation', function () {
+    const invalidXml = path.join(__dirname, '../fixtures/test-config-invalid.xml');
+
+    it('should report no problems for a valid config.xml', function () {
+        expect(ConfigParser.validateFile(path.join(__dirname, '../fixtures/test-config0.xml'))).toEqual([]);
+    });
+
+    it('should report problems with their position and a suggested fix', function () {
+        const diagnostics = new ConfigParser(invalidXml).validate();
+
+        expect(diagnostics).toEqual([
+            jasmine.objectContaining({ severity: 'error', tag: 'widget', attribute: 'version', line: 2, column: 38 }),
+            jasmine.objectContaining({ severity: 'error', tag: 'widget', attribute: 'android-versionCode', line: 2 }),
+            jasmine.objectContaining({ severity: 'warning', tag: 'preferance', line: 5, column: 5, suggestion: 'Did you mean <preference>?' }),
+            jasmine.objectContaining({ severity: 'error', tag: 'preference', attribute: 'value', line: 6 }),
+            jasmine.objectContaining({ severity: 'error', tag: 'platform', attribute: 'name', line: 7 }),
+            jasmine.objectContaining({ severity: 'error', tag: 'icon', attribute: 'src', line: 8, column: 9 }),
+            jasmine.objectContaining({ severity: 'warning', tag: 'splash', attribute: 'density', line: 12, column: 34 }),
+            jasmine.objectContaining({ severity: 'error', tag: 'edit-config', attribute: 'mode', line: 13, suggestion: 'Did you mean "merge"?' }),
+            jasmine.objectContaining({ severity: 'error', tag: 'plugin', attribute: 'name', line: 17 }),
+            jasmine.objectContaining({ severity: 'warning', tag: 'hook', attribute: 'type', line: 18, suggestion: 'Did you mean "before_build"?' })
+        ]);
+    });
+
+    it('should report elements added after parsing without a position', function () {
+        const cfg = new ConfigParser(invalidXml);
+        cfg.addElement('access', {});
+
+        const diagnostic = cfg.validate().pop();
+        expect(diagnostic.tag).toBe('access');
+        expect(diagnostic.line).toBeUndefined();
+    });
+
+    it('should not check the values of attributes that hold placeholders', function () {
+        spyOn(fs, 'readFileSync').and.returnValue(
+            '<widget id="io.cordova.app" version="${pkg:version}" android-versionCode="${env:BUILD_NUMBER}">\n' + // eslint-disable-line no-template-curly-in-string
+            '    <edit-config file="AndroidManifest.xml" target="/manifest" mode="${var:mode}" />\n' + // eslint-disable-line no-template-curly-in-string
+            '</widget>'
+        );
+
+        expect(ConfigParser.validateFile('config.xml')).toEqual([]);
+    });
+
+    it('should report missing attributes with the severity of their rule', function () {
+        const cfg = new ConfigParser(path.join(__dirname, '../fixtures/test-config0.xml'));
+        cfg.addElement('hook', { src: 'scripts/hook.js' });
+
+        expect(cfg.validate()).toEqual([
+            jasmine.objectContaining({ severity: 'warning', tag: 'hook', attribute: 'type' })
+        ]);
+    });
+
+    it('should report a root element other than <widget>', function () {
+        const diagnostics = ConfigParser.validateFile(path.join(__dirname, '../fixtures/plugins/ChildBrowser/plugin.xml'));
+        expect(diagnostics.length).toBe(1);
+        expect(diagnostics[0].message).toContain('Root element must be <widget>');
+    });
+
+    it('should report malformed XML', function () {
+        spyOn(fs, 'readFileSync').and.returnValue('<widget>\n    <name></widget>');
+
+        const diagnostics = ConfigParser.validateFile('config.xml');
+        expect(diagnostics).toEqual([
+            jasmine.objectContaining({ severity: 'error', line: 2 })
+        ]);
+    });
+});
+
+describe('config.xml overlays', function () {
+    const overlayFixture = name => path.join(__dirname, '../fixtures/config-overlays', name);
+    const baseXml = overlayFixture('config.xml');
+    const devXml = overlayFixture('config.dev.xml');
+    const localXml = overlayFixture('config.local.xml');
+
+    let cfg;
+    beforeEach(function () {
+        spyOn(events, 'emit');
+        cfg = new ConfigParser(baseXml, { overlays: [devXml, localXml] });
+    });
+
+    it('should apply overlays in order', function () {
+        expect(cfg.overlays).toEqual([devXml, localXml]);
+        expect(cfg.packageName()).toBe('io.cordova.hellocordova.dev');
+        expect(cfg.version()).toBe('1.0.0');
+        expect(cfg.name()).toBe('Hello Dev');
+        expect(cfg.getPreference('Fullscreen')).toBe('true');
+        expect(cfg.getPreference('Orientation')).toBe('portrait');
+        expect(cfg.getPreference('LogLevel')).toBe('verbose');
+        expect(cfg.getAccesses().map(a => a.origin)).toEqual(['https://api.example.com', 'http://localhost:8080']);
+    });
+
+    it('should ignore and warn about platform elements in overlays', function () {
+        expect(cfg.getPlatformPreference('AndroidLaunchMode', 'android')).toBe('singleTop');
+        expect(events.emit).toHaveBeenCalledWith('warn', jasmine.stringMatching(/Ignoring <platform> in overlay .*config\.dev\.xml/));
+    });
+
+    it('should apply overlays after construction', function () {
+        const cfg = new ConfigParser(baseXml);
+        expect(cfg.overlays).toEqual([]);
+
+        cfg.applyOverlay(localXml);
+        expect(cfg.overlays).toEqual([localXml]);
+        expect(cfg.getPreference('LogLevel')).toBe('verbose');
+    });
+
+    it('should reject overlays without a <widget> root', function () {
+        const cfg = new ConfigParser(baseXml);
+        const pluginXml = path.join(__dirname, '../fixtures/plugins/ChildBrowser/plugin.xml');
+
+        expect(() => cfg.applyOverlay(pluginXml)).toThrowError(/incorrect root node name/);
+        expect(cfg.overlays).toEqual([]);
+    });
+
+    it('should explain where values come from', function () {
+        expect(cfg.getPreferenceOrigin('logLevel')).toEqual({
+            key: 'preference[loglevel]',
+            value: 'verbose',
+            file: localXml,
+            definitions: [
+                { file: devXml, value: 'debug' },
+                { file: localXml, value: 'verbose' }
+            ]
         });
+        expect(cfg.getPreferenceOrigin('Orientation').file).toBe(baseXml);
+        expect(cfg.getPreferenceOrigin('AndroidLaunchMode', 'android').file).toBe(baseXml);
+        expect(cfg.getValueOrigin('@id').file).toBe(devXml);
+        expect(cfg.getValueOrigin('name').definitions.map(d => d.value)).toEqual(['Hello Cordova', 'Hello Dev']);
+        expect(cfg.getValueOrigin('access[http://localhost:8080]').file).toBe(devXml);
+        expect(cfg.getValueOrigin('preference[nope]')).toBeUndefined();
+    });
+
+    it('should not attribute values changed after loading to a file', function () {
+        cfg.setGlobalPreference('Fullscreen', 'false');
+
+        const origin = cfg.getPreferenceOrigin('Fullscreen');
+        expect(origin.value).toBe('false');
+        expect(origin.file).toBeNull();
+    });
+
+    it('should refuse to write a config with overlays', function () {
+        spyOn(fs, 'writeFileSync');
+
+        expect(() => cfg.write()).toThrowError(/overlays/);
+        expect(fs.writeFileSync).not.toHaveBeenCalled();
+    });
+});
+
+describe('config.xml variables', function () {
+    const variablesXml = path.join(__dirname, '../fixtures/config-variables/config.xml');
+    const variables = { flavor: 'Dev', shortName: 'Hello' };
+
+    let env;
+    beforeEach(function () {
+        env = Object.assign({}, process.env);
+        process.env.CDV_TEST_APP_ID = 'org.apache.cordova.variables';
+        process.env.CDV_TEST_API_KEY = 's3cr3t';
+    });
+
+    afterEach(function () {
+        process.env = env;
+    });
+
+    it('should resolve placeholders in getters', function () {
+        const cfg = new ConfigParser(variablesXml, { variables });
+
+        expect(cfg.packageName()).toBe('org.apache.cordova.variables');
+        expect(cfg.version()).toBe('2.1.0');
+        expect(cfg.name()).toBe('Hello Dev');
+        expect(cfg.shortName()).toBe('Hello');
+        expect(cfg.author()).toBe('Apache Cordova Team');
+        expect(cfg.getPreference('ApiKey')).toBe('s3cr3t');
+        expect(cfg.getPreference('Flavor')).toBe('Dev');
+        expect(cfg.getPlugin('cordova-plugin-maps')).toEqual({
+            name: 'cordova-plugin-maps',
+            spec: '^3.0.0',
+            variables: { API_KEY: 's3cr3t' }
+        });
+    });
+
+    it('should leave unknown placeholder types alone', function () {
+        const cfg = new ConfigParser(variablesXml, { variables, strict: true });
+        expect(cfg.getPreference('Literal')).toBe('${other:thing}'); // eslint-disable-line no-template-curly-in-string
+    });
+
+    it('should leave unresolvable placeholders as is in lenient mode', function () {
+        delete process.env.CDV_TEST_API_KEY;
+        const cfg = new ConfigParser(variablesXml);
+
+        expect(cfg.getPreference('ApiKey')).toBe('${env:CDV_TEST_API_KEY}'); // eslint-disable-line no-template-curly-in-string
+        expect(cfg.name()).toBe('Hello ${var:flavor}'); // eslint-disable-line no-template-curly-in-string
+    });
+
+    it('should throw on unresolvable placeholders in strict mode', function () {
+        delete process.env.CDV_TEST_API_KEY;
+        const cfg = new ConfigParser(variablesXml, { variables, strict: true });
+
+        expect(cfg.name()).toBe('Hello Dev');
+        expect(() => cfg.getPreference('ApiKey'))
+            .toThrowError(CordovaError, /Unable to resolve \$\{env:CDV_TEST_API_KEY\} in .*config\.xml/);
+    });
+
+    it('should not resolve pkg placeholders without a package.json', function () {
+        const cfg = new ConfigParser(variablesXml, { strict: true });
+        spyOn(fs, 'existsSync').and.returnValue(false);
+
+        expect(() => cfg.version()).toThrowError(CordovaError, /\$\{pkg:version\}/);
+    });
+
+    it('should keep placeholders when writing', function () {
+        const cfg = new ConfigParser(variablesXml, { variables });
+        cfg.setGlobalPreference('Orientation', 'portrait');
+        spyOn(fs, 'writeFileSync');
+
+        cfg.write();
+
+        const written = fs.writeFileSync.calls.argsFor(0)[1];
+        expect(written).toContain('value="${env:CDV_TEST_API_KEY}"'); // eslint-disable-line no-template-curly-in-string
+        expect(written).toContain('version="${pkg:version}"'); // eslint-disable-line no-template-curly-in-string
+        expect(written).not.toContain('s3cr3t');
     });
 });
@@ -0,0 +1,96 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+const PreferenceRegistry = require('../../src/ConfigParser/PreferenceRegistry');
+const CordovaError = require('../../src/CordovaError');
+
+describe('PreferenceRegistry', function () {
+    let registry;
+    beforeEach(function () {
+        registry = new PreferenceRegistry();
+    });
+
+    describe('register', function () {
+        it('should default the type to string', function () {
+            registry.register('BackgroundColor', { description: 'Color of the web view' });
+            expect(registry.get('backgroundcolor')).toEqual({
+                name: 'BackgroundColor',
+                type: 'string',
+                description: 'Color of the web view'
+            });
+        });
+
+        it('should reject unknown types', function () {
+            expect(() => registry.register('Foo', { type: 'date' }))
+                .toThrowError(CordovaError, /Unknown type "date"/);
+        });
+
+        it('should require the allowed values of enums', function () {
+            expect(() => registry.register('Orientation', { type: 'enum' }))
+                .toThrowError(CordovaError, /must declare its allowed values/);
+        });
+    });
+
+    describe('get / list', function () {
+        beforeEach(function () {
+            registry.register('Fullscreen', { type: 'boolean', default: false });
+            registry.register('Fullscreen', { type: 'boolean', default: true, platform: 'android' });
+            registry.register('AndroidLaunchMode', { type: 'string', platform: 'android' });
+        });
+
+        it('should prefer platform specific definitions', function () {
+            expect(registry.get('fullscreen').default).toBe(false);
+            expect(registry.get('fullscreen', 'ios').default).toBe(false);
+            expect(registry.get('fullscreen', 'android').default).toBe(true);
+            expect(registry.get('AndroidLaunchMode')).toBeUndefined();
+        });
+
+        it('should list the definitions that apply to a platform', function () {
+            expect(registry.list().map(def => def.name)).toEqual(['Fullscreen']);
+            expect(registry.list('android')).toEqual([
+                jasmine.objectContaining({ name: 'Fullscreen', default: true }),
+                jasmine.objectContaining({ name: 'AndroidLaunchMode' })
+            ]);
+        });
+    });
+
+    describe('parseValue', function () {
+        const parse = (value, definition) =>
+            PreferenceRegistry.parseValue(value, Object.assign({ name: 'Pref' }, definition));
+
+        it('should parse booleans', function () {
+            expect(parse(' True ', { type: 'boolean' })).toBe(true);
+            expect(parse('false', { type: 'boolean' })).toBe(false);
+            expect(() => parse('1', { type: 'boolean' })).toThrowError(CordovaError, 'Preference "Pref" must be true or false, got "1"');
+        });
+
+        it('should parse numbers', function () {
+            expect(parse('1.5', { type: 'number' })).toBe(1.5);
+            expect(() => parse('12px', { type: 'number' })).toThrowError(CordovaError, /must be a number/);
+        });
+
+        it('should parse lists', function () {
+            expect(parse('a, b', { type: 'list' })).toEqual(['a', 'b']);
+        });
+
+        it('should leave strings alone', function () {
+            expect(parse(' a ', { type: 'string' })).toBe(' a ');
+        });
+    });
+});
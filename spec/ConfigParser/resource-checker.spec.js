@@ -0,0 +1,163 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+const path = require('node:path');
+const fs = require('fs-extra');
+const tmp = require('tmp');
+const ConfigParser = require('../../src/ConfigParser/ConfigParser');
+const { IMAGE_REQUIREMENTS, densityToSize } = require('../../src/ConfigParser/resource-checker');
+
+tmp.setGracefulCleanup();
+
+describe('image resource completeness', function () {
+    const DENSITIES = ['ldpi', 'mdpi', 'hdpi', 'xhdpi', 'xxhdpi', 'xxxhdpi'];
+    let projectRoot;
+
+    const makeConfig = platforms => ConfigParser.fromJSON(
+        { id: 'io.cordova.test', version: '1.0.0', platforms },
+        path.join(projectRoot, 'config.xml')
+    );
+    const createFiles = files => files.forEach(file => fs.outputFileSync(path.join(projectRoot, file), ''));
+
+    beforeEach(function () {
+        projectRoot = tmp.dirSync({ unsafeCleanup: true }).name;
+    });
+
+    it('should accept a complete android icon set', function () {
+        const icons = DENSITIES.map(density => ({ src: `res/icon/android/${density}.png`, density }));
+        createFiles(icons.map(icon => icon.src));
+
+        const { icon } = makeConfig({ android: { icons } }).checkImageResources('android');
+        expect(icon).toEqual({ platform: 'android', type: 'icon', complete: true, missing: [], duplicates: [], unreferenced: [], notFound: [] });
+    });
+
+    it('should report missing, duplicate and unreferenced icons', function () {
+        const config = makeConfig({
+            android: {
+                icons: [
+                    { src: 'default.png' },
+                    { src: 'mdpi.png', density: 'mdpi' },
+                    { src: 'mdpi-2.png', density: 'mdpi' },
+                    { src: 'tv.png', density: 'tvdpi' },
+                    ...['ldpi', 'hdpi', 'xhdpi', 'xxhdpi'].map(density => ({ src: `${density}.png`, density }))
+                ]
+            }
+        });
+        createFiles(['default.png', 'mdpi.png', 'tv.png', 'ldpi.png', 'hdpi.png', 'xhdpi.png', 'xxhdpi.png']);
+
+        const { icon } = config.checkImageResources('android');
+        expect(icon.complete).toBe(false);
+        expect(icon.missing).toEqual(['xxxhdpi']);
+        expect(icon.duplicates).toEqual([{ requirement: 'mdpi', resources: [jasmine.objectContaining({ src: 'mdpi.png' }), jasmine.objectContaining({ src: 'mdpi-2.png' })] }]);
+        expect(icon.unreferenced).toEqual([jasmine.objectContaining({ src: 'tv.png' })]);
+        expect(icon.notFound).toEqual([{ resource: jasmine.objectContaining({ src: 'mdpi-2.png' }), attribute: 'src', path: path.join(projectRoot, 'mdpi-2.png') }]);
+    });
+
+    it('should check the layers of android adaptive icons', function () {
+        const icons = DENSITIES.map(density => ({
+            density,
+            foreground: `res/${density}/foreground.png`,
+            background: '@color/background',
+            monochrome: density === 'mdpi' ? `res/${density}/monochrome.png` : undefined
+        }));
+        delete icons[0].monochrome;
+        icons[5] = { density: 'xxxhdpi', src: 'res/xxxhdpi/legacy.png' };
+        createFiles(icons.map(icon => icon.foreground).filter(Boolean).concat(['res/mdpi/monochrome.png', 'res/xxxhdpi/legacy.png']));
+
+        const report = makeConfig({ android: { icons: JSON.parse(JSON.stringify(icons)) } })
+            .getIcons('android')
+            .checkCompleteness('android', 'icon', { projectRoot });
+
+        expect(report.missing).toEqual([
+            'ldpi monochrome', 'hdpi monochrome', 'xhdpi monochrome', 'xxhdpi monochrome',
+            'xxxhdpi foreground', 'xxxhdpi background', 'xxxhdpi monochrome'
+        ]);
+        expect(report.notFound).toEqual([]);
+    });
+
+    it('should know the ios requirements', function () {
+        const icons = IMAGE_REQUIREMENTS.ios.icon.map(({ width, height }) => ({ src: `AppIcon-${width}.png`, width: String(width), height: String(height) }));
+        icons.pop();
+        const config = makeConfig({
+            ios: {
+                icons,
+                splash: [{ src: 'res/screen/ios/Default@2x~universal~anyany.png' }, { src: 'res/screen/ios/Default@2x~iphone~anyany.png' }]
+            }
+        });
+
+        const { icon, splash } = config.checkImageResources('ios');
+        expect(icon.missing).toEqual(['1024x1024']);
+        expect(icon.notFound.length).toBe(icons.length);
+        expect(splash.missing).toEqual([]);
+        expect(splash.unreferenced).toEqual([jasmine.objectContaining({ src: 'res/screen/ios/Default@2x~iphone~anyany.png' })]);
+    });
+
+    it('should include shared resources and require legacy android splash screens per orientation', function () {
+        const config = ConfigParser.fromJSON({
+            splash: [{ src: 'splash.png', density: 'port-mdpi' }],
+            platforms: { android: { splash: [{ src: 'land.png', density: 'land-mdpi' }] } }
+        });
+
+        const { splash } = config.checkImageResources('android', { legacySplash: true });
+        expect(splash.missing.length).toBe(10);
+        expect(splash.missing).not.toContain('land-mdpi');
+        expect(splash.missing).not.toContain('port-mdpi');
+    });
+
+    it('should not require android splash screens by default', function () {
+        createFiles(['land.png']);
+
+        const { splash } = makeConfig({ android: { splash: [{ src: 'land.png', density: 'land-mdpi' }] } }).checkImageResources('android');
+        expect(splash.complete).toBe(true);
+        expect(splash.missing).toEqual([]);
+        expect(splash.unreferenced).toEqual([]);
+    });
+
+    it('should check for duplicates in the shared and platform resources separately', function () {
+        const config = makeConfig({ android: { icons: [{ src: 'android-mdpi.png', density: 'mdpi' }] } });
+        config.addElement('icon', { src: 'shared-mdpi.png', density: 'mdpi' });
+        config.addElement('icon', { src: 'shared-mdpi-2.png', density: 'mdpi' });
+
+        const { icon } = config.checkImageResources('android');
+        expect(icon.duplicates).toEqual([{
+            requirement: 'mdpi',
+            resources: [jasmine.objectContaining({ src: 'shared-mdpi.png' }), jasmine.objectContaining({ src: 'shared-mdpi-2.png' })]
+        }]);
+
+        config.doc.getroot().remove(config.doc.find('./icon[@src="shared-mdpi-2.png"]'));
+        expect(config.checkImageResources('android').icon.duplicates).toEqual([]);
+    });
+
+    it('should only check files for platforms without known requirements', function () {
+        const report = makeConfig({ electron: { icons: [{ src: 'icon.png', width: '512', height: '512' }] } })
+            .getIcons('electron')
+            .checkCompleteness('electron', 'icon');
+
+        expect(report).toEqual({ platform: 'electron', type: 'icon', complete: true, missing: [], duplicates: [], unreferenced: [], notFound: [] });
+    });
+});
+
+describe('android density conversion', function () {
+    it('should convert densities to pixel sizes', function () {
+        expect(densityToSize('ldpi')).toBe(36);
+        expect(densityToSize('xxxhdpi')).toBe(192);
+        expect(densityToSize('port-hdpi', 320)).toBe(480);
+        expect(densityToSize('tvdpi')).toBe(null);
+    });
+});
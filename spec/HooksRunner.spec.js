@@ -0,0 +1,110 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+const path = require('node:path');
+const HooksRunner = require('../src/HooksRunner');
+const CordovaError = require('../src/CordovaError');
+const superspawn = require('../src/superspawn');
+
+const PROJECT = path.join(__dirname, 'fixtures/projects/hooks');
+const inProject = (...parts) => path.join(PROJECT, ...parts);
+
+describe('HooksRunner', function () {
+    let runner;
+    beforeEach(function () {
+        runner = new HooksRunner(PROJECT);
+        spyOn(superspawn, 'spawn').and.returnValue(Promise.resolve(''));
+    });
+
+    describe('getScripts', function () {
+        it('should collect scripts from the hooks directory, config.xml and plugins in order', function () {
+            expect(runner.getScripts('before_build', { platforms: ['android'] })).toEqual([
+                { hook: 'before_build', path: inProject('hooks/before_build/01-first.js'), source: 'hooks-dir' },
+                { hook: 'before_build', path: inProject('hooks/before_build/02-second.js'), source: 'hooks-dir' },
+                { hook: 'before_build', path: inProject('scripts/config-global.js'), source: 'config' },
+                { hook: 'before_build', path: inProject('scripts/config-android.js'), source: 'config' },
+                { hook: 'before_build', path: inProject('plugins/org.test.hooks.a/hooks/a.sh'), source: 'plugin', pluginId: 'org.test.hooks.a' },
+                { hook: 'before_build', path: inProject('plugins/org.test.hooks.b/hooks/b.js'), source: 'plugin', pluginId: 'org.test.hooks.b' }
+            ]);
+        });
+
+        it('should only include platform hooks for the given platforms', function () {
+            const sources = runner.getScripts('BEFORE_BUILD').map(script => path.basename(script.path));
+            expect(sources).not.toContain('config-android.js');
+        });
+
+        it('should only include hooks of the given plugins', function () {
+            const pluginIds = runner.getScripts('before_build', { plugins: ['org.test.hooks.b'] })
+                .filter(script => script.source === 'plugin')
+                .map(script => script.pluginId);
+            expect(pluginIds).toEqual(['org.test.hooks.b']);
+        });
+
+        it('should work without config.xml, plugins and hooks directory', function () {
+            runner = new HooksRunner(path.join(PROJECT, 'scripts'));
+            expect(runner.config).toBeNull();
+            expect(runner.getScripts('before_build')).toEqual([]);
+        });
+    });
+
+    describe('run', function () {
+        it('should run all scripts in order and report their duration', function () {
+            const opts = { platforms: ['android'], calls: [] };
+
+            return runner.run('before_build', opts).then(results => {
+                expect(opts.calls).toEqual(['hooks-dir-01', 'hooks-dir-02', 'config-global', 'config-android', 'plugin-b']);
+                expect(results.map(result => path.basename(result.script.path))).toEqual([
+                    '01-first.js', '02-second.js', 'config-global.js', 'config-android.js', 'a.sh', 'b.js'
+                ]);
+                results.forEach(result => expect(result.duration).toEqual(jasmine.any(Number)));
+            });
+        });
+
+        it('should spawn scripts other than JavaScript files', function () {
+            return runner.run('before_build', { platforms: ['android'], calls: [] }).then(() => {
+                expect(superspawn.spawn).toHaveBeenCalledWith(inProject('plugins/org.test.hooks.a/hooks/a.sh'), [PROJECT], jasmine.objectContaining({
+                    cwd: PROJECT,
+                    env: {
+                        CORDOVA_HOOK: inProject('plugins/org.test.hooks.a/hooks/a.sh'),
+                        CORDOVA_HOOK_TYPE: 'before_build',
+                        CORDOVA_PLATFORMS: 'android',
+                        CORDOVA_PLUGIN_ID: 'org.test.hooks.a'
+                    }
+                }));
+            });
+        });
+
+        it('should stop at the first failing script', function () {
+            const opts = { calls: [] };
+
+            return runner.run('after_build', opts).then(() => fail('Expected promise to be rejected'), err => {
+                expect(err).toEqual(jasmine.any(CordovaError));
+                expect(err.message).toContain(`Failed to run after_build hook script ${inProject('scripts/fail.js')}`);
+                expect(err.message).toContain('boom');
+                expect(opts.calls).toEqual([]);
+            });
+        });
+
+        it('should resolve with no results if there are no scripts', function () {
+            return runner.run('before_serve').then(results => {
+                expect(results).toEqual([]);
+            });
+        });
+    });
+});
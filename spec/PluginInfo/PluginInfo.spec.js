@@ -18,6 +18,7 @@
 */
 
 const PluginInfo = require('../../src/PluginInfo/PluginInfo');
+const CordovaError = require('../../src/CordovaError');
 const path = require('path');
 const pluginsDir = path.join(__dirname, '../fixtures/plugins');
 const pluginPassthrough = new PluginInfo(path.join(pluginsDir, 'org.test.xmlpassthrough'));
@@ -48,6 +49,210 @@ describe('PluginInfo', function () {
         expect(() => new PluginInfo('/non/existent/dir')).toThrow();
     });
 
+    describe('in-memory construction', () => {
+        const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<plugin xmlns="http://apache.org/cordova/ns/plugins/1.0" id="org.test.inmemory" version="1.2.3">
+    <name>In Memory</name>
+    <preference name="API_KEY" />
+    <js-module src="www/inmemory.js" name="InMemory">
+        <clobbers target="inMemory" />
+    </js-module>
+    <platform name="android">
+        <asset src="www/inmemory.css" />
+        <framework src="com.example:inmemory:$API_KEY" />
+    </platform>
+</plugin>`;
+
+        it('should create a plugin from a string', () => {
+            const p = PluginInfo.fromString(xml, { dir: '/virtual/inmemory' });
+
+            expect(p.id).toBe('org.test.inmemory');
+            expect(p.version).toBe('1.2.3');
+            expect(p.name).toBe('In Memory');
+            expect(p.isVirtual).toBe(true);
+            expect(p.filepath).toBe(path.join('/virtual/inmemory', 'plugin.xml'));
+            expect(p.getJsModules('android')).toEqual([jasmine.objectContaining({ name: 'InMemory', clobbers: [{ target: 'inMemory' }] })]);
+            expect(p.getFrameworks('android', { cli_variables: { API_KEY: 'abc' } })[0].src).toBe('com.example:inmemory:abc');
+            expect(() => p.getAssets('android')).toThrowError(CordovaError, new RegExp(`${escapeRegExp(p.filepath)}:9:9$`));
+        });
+
+        it('should create a plugin from an element tree', () => {
+            const doc = new PluginInfo(path.join(pluginsDir, 'ChildBrowser'))._et;
+            const p = PluginInfo.fromElementTree(doc.getroot());
+
+            expect(p.id).toBe('com.phonegap.plugins.childbrowser');
+            expect(p.dir).toBe('com.phonegap.plugins.childbrowser');
+            expect(p.getConfigFiles('android').length).toBe(4);
+        });
+
+        it('should reject documents that are no plugin.xml', () => {
+            expect(() => PluginInfo.fromString('<widget id="org.test.app" />'))
+                .toThrowError(CordovaError, 'Expected <plugin> as the root element of plugin.xml, found <widget>');
+        });
+    });
+
+    describe('Author', () => {
+        it('should return the name and attributes of the author', function () {
+            const p = PluginInfo.fromString(`<plugin id="org.test.author" version="1.0.0">
+    <author email="dev@cordova.apache.org" href="https://cordova.apache.org">
+        Apache Cordova
+    </author>
+</plugin>`);
+
+            expect(p.getAuthor()).toEqual({
+                name: 'Apache Cordova',
+                email: 'dev@cordova.apache.org',
+                href: 'https://cordova.apache.org'
+            });
+        });
+
+        it('should return undefined if there is no author', function () {
+            expect(pluginPassthrough.getAuthor()).toBeUndefined();
+        });
+    });
+
+    describe('Raw elements', () => {
+        const p = PluginInfo.fromString(`<plugin id="org.test.raw" version="1.0.0">
+    <dependency id="org.test.global" />
+    <platform name="android">
+        <dependency id="org.test.android" version="^1.0.0" />
+        <config-file target="AndroidManifest.xml" parent="/*">
+            <!-- needed for the camera -->
+            <uses-permission android:name="android.permission.CAMERA" />
+        </config-file>
+    </platform>
+    <platform name="ios">
+        <dependency id="org.test.ios" />
+    </platform>
+</plugin>`);
+
+        it('should tell top-level elements from those in a platform section', function () {
+            expect(p.getRaw('dependency', 'android')).toEqual([
+                { tag: 'dependency', platform: null, attrib: { id: 'org.test.global' }, text: undefined, children: [] },
+                { tag: 'dependency', platform: 'android', attrib: { id: 'org.test.android', version: '^1.0.0' }, text: undefined, children: [] }
+            ]);
+            expect(p.getRaw('dependency').map(d => d.attrib.id)).toEqual(['org.test.global']);
+            expect(p.getRaw('dependency', ['android', 'ios']).map(d => d.platform)).toEqual([null, 'android', 'ios']);
+        });
+
+        it('should support paths and skip comments', function () {
+            expect(p.getRaw('config-file', 'android')[0].children).toEqual([{
+                tag: 'uses-permission',
+                platform: 'android',
+                attrib: { 'android:name': 'android.permission.CAMERA' },
+                text: undefined,
+                children: []
+            }]);
+            expect(p.getRaw('config-file/uses-permission', 'android').length).toBe(1);
+        });
+
+        it('should tell top-level dependencies from those in a platform section', function () {
+            expect(p.getDependencies(['android', 'ios']).map(({ id, platform }) => ({ id, platform }))).toEqual([
+                { id: 'org.test.global', platform: null },
+                { id: 'org.test.android', platform: 'android' },
+                { id: 'org.test.ios', platform: 'ios' }
+            ]);
+        });
+
+        it('should return the permissions requested in config-file tags', function () {
+            expect(p.getPermissions('android')).toEqual([{
+                'android:name': 'android.permission.CAMERA',
+                name: 'android.permission.CAMERA',
+                target: 'AndroidManifest.xml',
+                platform: 'android'
+            }]);
+            expect(p.getPermissions('ios')).toEqual([]);
+        });
+    });
+
+    describe('Engine conditions', () => {
+        const p = PluginInfo.fromString(`<plugin id="org.test.conditional" version="1.0.0">
+    <platform name="android">
+        <source-file src="src/android/Common.java" target-dir="src/org/test" />
+        <source-file src="src/android/Legacy.java" target-dir="src/org/test" engine="cordova-android" versions="&lt;12.0.0" />
+        <framework src="androidx.core:core:1.12.0" engine="cordova-android" versions=">=12.0.0" />
+        <framework src="com.example:any-android:1.0.0" engine="cordova-android" />
+        <config-file target="AndroidManifest.xml" parent="/manifest" engine="cordova-android" versions=">=12.0.0">
+            <uses-permission android:name="android.permission.POST_NOTIFICATIONS" />
+        </config-file>
+        <config-file target="res/xml/config.xml" parent="/*" />
+    </platform>
+    <js-module src="www/ios-only.js" name="IosOnly" engine="cordova-ios" />
+</plugin>`);
+
+        const srcs = items => items.map(item => item.src || item.target);
+
+        it('should leave out all conditional elements if no engine versions are given', function () {
+            expect(srcs(p.getFilesAndFrameworks('android'))).toEqual(['src/android/Common.java']);
+            expect(srcs(p.getConfigFiles('android'))).toEqual(['res/xml/config.xml']);
+            expect(p.getPermissions('android')).toEqual([]);
+            expect(p.getJsModules('android')).toEqual([]);
+        });
+
+        it('should leave out elements whose engine condition is not satisfied', function () {
+            const context = { platform: 'android', engineVersions: { android: '12.0.1' } };
+
+            expect(srcs(p.getFilesAndFrameworks(context))).toEqual([
+                'src/android/Common.java', 'androidx.core:core:1.12.0', 'com.example:any-android:1.0.0'
+            ]);
+            expect(srcs(p.getConfigFiles(context))).toEqual(['AndroidManifest.xml', 'res/xml/config.xml']);
+            expect(p.getPermissions(context).map(({ name }) => name)).toEqual(['android.permission.POST_NOTIFICATIONS']);
+            expect(p.getJsModules(context)).toEqual([]);
+        });
+
+        it('should treat engines that are not installed as unsatisfied', function () {
+            const context = { platform: 'android', engineVersions: { 'cordova-android': '11.0.0' } };
+
+            expect(srcs(p.getFilesAndFrameworks(context))).toEqual([
+                'src/android/Common.java', 'src/android/Legacy.java', 'com.example:any-android:1.0.0'
+            ]);
+            expect(srcs(p.getConfigFiles(context))).toEqual(['res/xml/config.xml']);
+            expect(p.getRaw('js-module', { engineVersions: { 'cordova-ios': '7.0.0' } }).length).toBe(1);
+        });
+    });
+
+    describe('Malformed tags', () => {
+        const p = new PluginInfo(path.join(pluginsDir, 'org.test.malformed'));
+
+        it('should report the location of a malformed <asset>', function () {
+            expect(() => p.getAssets('android')).toThrowError(
+                CordovaError, new RegExp(`${escapeRegExp(p.filepath)}:9:9$`)
+            );
+        });
+
+        it('should report the location of a <dependency> without id', function () {
+            expect(() => p.getDependencies('android')).toThrowError(
+                CordovaError, new RegExp(`${escapeRegExp(p.filepath)}:10:9$`)
+            );
+        });
+    });
+
+    describe('Variables', () => {
+        const varsPlugin = new PluginInfo(path.join(pluginsDir, 'com.adobe.vars'));
+        const srcPlugin = new PluginInfo(path.join(pluginsDir, 'org.test.src'));
+
+        it('should tell required variables from those with a default', function () {
+            expect(varsPlugin.getVariables('android')).toEqual([{ name: 'API_KEY', required: true }]);
+            expect(srcPlugin.getVariables('android')).toEqual([{ name: 'FCM_VERSION', required: false, default: '11.0.1' }]);
+            expect(srcPlugin.getVariables('ios')).toEqual([]);
+        });
+
+        it('should merge CLI variables, config.xml variables and defaults', function () {
+            expect(srcPlugin.resolveVariables('android')).toEqual({ FCM_VERSION: '11.0.1' });
+            expect(srcPlugin.resolveVariables('android', { configVariables: { FCM_VERSION: '10.0.0' } })).toEqual({ FCM_VERSION: '10.0.0' });
+            expect(srcPlugin.resolveVariables('android', {
+                cliVariables: { FCM_VERSION: '9.0.0', PACKAGE_NAME: 'org.test' },
+                configVariables: { FCM_VERSION: '10.0.0' }
+            })).toEqual({ FCM_VERSION: '9.0.0', PACKAGE_NAME: 'org.test' });
+        });
+
+        it('should fail if required variables are missing', function () {
+            expect(() => varsPlugin.resolveVariables('android', { cliVariables: { PACKAGE_NAME: 'org.test' } }))
+                .toThrowError(CordovaError, 'Plugin com.adobe.vars requires the variables API_KEY. Pass them with --variable NAME=value or add them as <variable> to the <plugin> in config.xml.');
+            expect(varsPlugin.resolveVariables('android', { configVariables: { API_KEY: '' } })).toEqual({ API_KEY: '' });
+        });
+    });
+
     describe('Framework', () => {
         it('Test 003: replace framework src', function () {
             const p = new PluginInfo(path.join(pluginsDir, 'org.test.src'));
@@ -55,6 +260,12 @@ describe('PluginInfo', function () {
             expect(result[2].src).toBe('com.google.firebase:firebase-messaging:9.0.0');
         });
 
+        it('should use defaults for variables that are not passed', function () {
+            const p = new PluginInfo(path.join(pluginsDir, 'org.test.src'));
+            const result = p.getFrameworks('android', { cli_variables: { PACKAGE_NAME: 'org.test' } });
+            expect(result[2].src).toBe('com.google.firebase:firebase-messaging:11.0.1');
+        });
+
         it('Test 004: framework src uses default variable', function () {
             const p = new PluginInfo(path.join(pluginsDir, 'org.test.src'));
             const result = p.getFrameworks('android', {});
@@ -82,6 +293,16 @@ describe('PluginInfo', function () {
             expect(podSpec.libraries.AFNetworking.spec).toBe('~> 3.2');
             expect(podSpec.libraries.Eureka['swift-version']).toBe('4.1');
         });
+
+        it('should provide the podspec config with typed declarations', function () {
+            const p = new PluginInfo(path.join(pluginsDir, 'org.test.plugins.withcocoapods'));
+
+            expect(p.getPodSpecs('ios')[0].config).toEqual({
+                sources: ['https://github.com/CocoaPods/Specs.git'],
+                useFrameworks: true,
+                inhibitAllWarnings: true
+            });
+        });
     });
 
     describe('Asset', () => {
@@ -170,6 +391,48 @@ describe('PluginInfo', function () {
             expect(engines.length).toBe(1);
             expect(engines[0].anattrib).toBe('value');
         });
+
+        it('should return the engines that apply to a platform', function () {
+            const p = PluginInfo.fromString(`<plugin id="org.test.engines" version="1.0.0">
+    <engines>
+        <engine name="cordova" version=">=10.0.0" />
+        <engine name="cordova-android" version=">=9.0.0" />
+        <engine name="cordova-ios" version=">=6.0.0" />
+        <engine name="mobile-sdk" version=">=2.0.0" platform="android|ios" scriptSrc="sdk-version.js" />
+        <engine name="any-sdk" version=">=1.0.0" platform="*" scriptSrc="any-version.js" />
+    </engines>
+</plugin>`);
+
+            expect(p.getPlatformEngines('android').map(e => e.name))
+                .toEqual(['cordova-android', 'mobile-sdk', 'any-sdk']);
+            expect(p.getPlatformEngines('android')[1]).toEqual(jasmine.objectContaining({ platform: 'android|ios', scriptSrc: 'sdk-version.js' }));
+            expect(p.getPlatformEngines('browser').map(e => e.name)).toEqual(['any-sdk']);
+        });
+
+        describe('checkEngines', () => {
+            const pluginWithEngines = new PluginInfo(path.join(pluginsDir, 'org.test.src'));
+
+            it('should check the engines against the installed versions', () => {
+                const checks = pluginWithEngines.checkEngines({ cordova: '12.0.0', android: '6.0.0' });
+
+                expect(checks).toEqual([
+                    { name: 'cordova', spec: '>=7.0.0', installed: '12.0.0', satisfied: true },
+                    { name: 'cordova-android', spec: '>=6.2.1', installed: '6.0.0', satisfied: false, reason: '6.0.0 does not satisfy >=6.2.1' },
+                    { name: 'cordova-ios', spec: '>=4.4.0', installed: null, satisfied: null, reason: 'not installed' }
+                ]);
+            });
+
+            it('should throw an error naming the plugin.xml if asked to', () => {
+                expect(() => pluginWithEngines.checkEngines({ 'cordova-android': '6.0.0' }, { throwOnFailure: true }))
+                    .toThrowError(CordovaError, /Unsatisfied engine requirements in .*org\.test\.src.plugin\.xml:\n {2}cordova-android: 6\.0\.0 does not satisfy >=6\.2\.1/);
+            });
+
+            it('should not fail on engines without name', () => {
+                expect(pluginPassthrough.checkEngines({})).toEqual([
+                    jasmine.objectContaining({ satisfied: null })
+                ]);
+            });
+        });
     });
 
     describe('Platform', () => {
@@ -179,4 +442,73 @@ describe('PluginInfo', function () {
             expect(platforms[0].anattrib).toBe('value');
         });
     });
+
+    describe('lint', () => {
+        const pluginToLint = new PluginInfo(path.join(pluginsDir, 'org.test.lint'));
+        const summarize = diagnostics => diagnostics.map(({ rule, severity, tag, line }) => `${rule} ${severity} <${tag}>:${line}`);
+
+        it('should report problems with their rule and position', () => {
+            const diagnostics = pluginToLint.lint();
+
+            expect(summarize(diagnostics)).toEqual([
+                'plugin-id-version warning <plugin>:2',
+                'js-module-src error <js-module>:12',
+                'file-outside-plugin error <source-file>:25',
+                'duplicate-clobbers warning <clobbers>:13',
+                'unknown-platform-tag warning <uses-permission>:26',
+                'undefined-variable error <config-file>:18',
+                'undefined-variable error <edit-config>:30'
+            ]);
+            expect(diagnostics[1]).toEqual({
+                rule: 'js-module-src',
+                severity: 'error',
+                file: pluginToLint.filepath,
+                tag: 'js-module',
+                attribute: 'src',
+                line: 12,
+                column: 16,
+                message: '<js-module> source "www/missing.js" does not exist',
+                suggestion: 'Fix the path, it is relative to the plugin directory'
+            });
+            expect(diagnostics[5].message).toBe('Variable $SECRET in <config-file> is not declared');
+            expect(diagnostics[6].message).toBe('Variable $SENDER_ID in <edit-config> is not declared');
+        });
+
+        it('should report nothing for a clean plugin', () => {
+            expect(new PluginInfo(path.join(pluginsDir, 'org.test.plugins.dummyplugin')).lint()).toEqual([]);
+        });
+
+        it('should allow rules to be disabled, replaced and added', () => {
+            const diagnostics = pluginToLint.lint({
+                rules: {
+                    'plugin-id-version': false,
+                    'undefined-variable': false,
+                    'unknown-platform-tag': false,
+                    'file-outside-plugin': {
+                        description: 'No files outside the plugin',
+                        check: ({ report, doc }) => report(doc.getroot(), { message: 'replaced' })
+                    },
+                    'has-description': {
+                        description: 'The plugin has a description',
+                        check: ({ plugin, doc, report }) => {
+                            if (!plugin.description) report(doc.getroot(), { severity: 'warning', message: 'No description' });
+                        }
+                    }
+                }
+            });
+
+            expect(diagnostics.map(({ rule, message }) => `${rule}: ${message}`)).toEqual([
+                'js-module-src: <js-module> source "www/missing.js" does not exist',
+                'file-outside-plugin: replaced',
+                'duplicate-clobbers: "lint" is clobbered by more than one <js-module>',
+                'has-description: No description'
+            ]);
+            expect(Object.keys(PluginInfo.lintRules)).toContain('undefined-variable');
+            expect(PluginInfo.lintRules['has-description']).toBeUndefined();
+        });
+    });
 });
+
+function escapeRegExp (s) {
+    return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,178 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+const path = require('node:path');
+const et = require('elementtree');
+const PluginInfo = require('../../src/PluginInfo/PluginInfo');
+const PluginInfoBuilder = require('../../src/PluginInfo/PluginInfoBuilder');
+
+const pluginsDir = path.join(__dirname, '../fixtures/plugins');
+
+describe('PluginInfoBuilder', function () {
+    it('should build a plugin.xml from scratch', function () {
+        const xml = new PluginInfoBuilder({ id: 'cordova-plugin-foo', version: '1.0.0', name: 'Foo', keywords: ['foo', 'bar'] })
+            .addPreference({ name: 'API_KEY' })
+            .addPreference({ name: 'SDK_VERSION', default: '2.1.0', platform: 'android' })
+            .addJsModule({ name: 'Foo', src: 'www/foo.js', clobbers: ['Foo'], merges: [{ target: 'navigator.foo' }], runs: true })
+            .addSourceFile('android', { src: 'src/android/Foo.java', targetDir: 'src/org/foo' })
+            .addSourceFile('ios', { src: 'src/ios/Foo.m', compilerFlags: '-fno-objc-arc', framework: true })
+            .addFramework({ platform: 'android', src: 'com.foo:sdk:$SDK_VERSION' })
+            .addConfigFile({
+                platform: 'android',
+                target: 'AndroidManifest.xml',
+                parent: '/manifest/application',
+                xml: '<meta-data android:name="foo.API_KEY" android:value="$API_KEY" />'
+            })
+            .addEditConfig({ platform: 'ios', file: '*-Info.plist', target: 'NSCameraUsageDescription', mode: 'merge', xml: ['<string>Needed for Foo</string>'] })
+            .addPodspec('ios', { sources: ['https://cdn.cocoapods.org/'], declarations: { 'use-frameworks': 'true' }, libraries: [{ name: 'FooSDK', spec: '~> 2.1' }] })
+            .addDependency({ id: 'cordova-plugin-device', version: '^2.0.0' })
+            .addHook({ type: 'after_plugin_install', src: 'scripts/install.js' })
+            .addEngine({ name: 'cordova-android', version: '>=12.0.0' })
+            .toXml();
+
+        const plugin = PluginInfo.fromString(xml);
+        expect(plugin.id).toBe('cordova-plugin-foo');
+        expect(plugin.version).toBe('1.0.0');
+        expect(plugin.name).toBe('Foo');
+        expect(plugin.keywords).toEqual(['foo', 'bar']);
+        expect(plugin.getVariables('android')).toEqual([
+            { name: 'API_KEY', required: true },
+            { name: 'SDK_VERSION', required: false, default: '2.1.0' }
+        ]);
+        expect(plugin.getJsModules('android')).toEqual([{
+            itemType: 'js-module',
+            name: 'Foo',
+            src: 'www/foo.js',
+            clobbers: [{ target: 'Foo' }],
+            merges: [{ target: 'navigator.foo' }],
+            runs: true
+        }]);
+        expect(plugin.getSourceFiles('android')).toEqual([jasmine.objectContaining({ src: 'src/android/Foo.java', targetDir: 'src/org/foo' })]);
+        expect(plugin.getSourceFiles('ios')).toEqual([jasmine.objectContaining({ compilerFlags: '-fno-objc-arc', framework: true, weak: false })]);
+        expect(plugin.getFrameworks('android', { cli_variables: { API_KEY: 'x' } })[0].src).toBe('com.foo:sdk:2.1.0');
+        expect(plugin.getConfigFiles('android')[0].xmls.map(elem => elem.attrib['android:value'])).toEqual(['$API_KEY']);
+        expect(plugin.getEditConfigs('ios')[0]).toEqual(jasmine.objectContaining({ file: '*-Info.plist', mode: 'merge' }));
+        expect(plugin.getPodSpecs('ios')).toEqual([{
+            declarations: { 'use-frameworks': 'true' },
+            sources: { 'https://cdn.cocoapods.org/': { source: 'https://cdn.cocoapods.org/' } },
+            libraries: { FooSDK: { name: 'FooSDK', spec: '~> 2.1' } },
+            config: { sources: ['https://cdn.cocoapods.org/'], useFrameworks: true }
+        }]);
+        expect(plugin.getDependencies('android')).toEqual([jasmine.objectContaining({ id: 'cordova-plugin-device', version: '^2.0.0' })]);
+        expect(plugin.getHookScripts('after_plugin_install', 'android').length).toBe(1);
+        expect(plugin.getEngines()).toEqual([jasmine.objectContaining({ name: 'cordova-android', version: '>=12.0.0' })]);
+    });
+
+    it('should only write the dependency attributes that are set', function () {
+        const original = PluginInfo.fromString('<plugin id="org.test.deps" version="1.0.0"><dependency id="cordova-plugin-device" /></plugin>');
+        const builder = new PluginInfoBuilder({ id: 'org.test.deps', version: '1.0.0' });
+        original.getDependencies().forEach(dependency => builder.addDependency(dependency));
+
+        expect(builder.toXml()).toContain('<dependency id="cordova-plugin-device" />');
+    });
+
+    it('should copy the content of config-file and edit-config tags', function () {
+        const original = new PluginInfo(path.join(pluginsDir, 'org.test.plugins.dummyplugin'));
+        const [configFile] = original.getConfigFiles('android');
+        const builder = new PluginInfoBuilder({ id: 'org.test.copy', version: '1.0.0' }).addConfigFile(configFile);
+
+        const [copied] = builder._root.find('config-file').getchildren();
+        copied.attrib.changed = 'true';
+
+        expect(copied).not.toBe(configFile.xmls[0]);
+        expect(configFile.xmls[0].attrib.changed).toBeUndefined();
+        expect(builder.toPluginInfo().getConfigFiles().pop().xmls.length).toBe(configFile.xmls.length);
+    });
+
+    it('should create a virtual PluginInfo', function () {
+        const plugin = new PluginInfoBuilder({ id: 'cordova-plugin-foo', version: '1.0.0' }).toPluginInfo({ dir: '/plugins/foo' });
+
+        expect(plugin.isVirtual).toBe(true);
+        expect(plugin.dir).toBe('/plugins/foo');
+    });
+
+    ['org.test.plugins.dummyplugin', 'org.test.plugins.withcocoapods'].forEach(id => {
+        it(`should rebuild ${id} from the getter output`, function () {
+            const original = new PluginInfo(path.join(pluginsDir, id));
+            const rebuilt = rebuild(original);
+
+            for (const platform of original.getPlatformsArray()) {
+                for (const getter of GETTERS) {
+                    expect(normalize(rebuilt[getter](platform))).toEqual(normalize(original[getter](platform)), `${getter}('${platform}')`);
+                }
+            }
+        });
+    });
+});
+
+const GETTERS = [
+    'getPreferences', 'getAssets', 'getDependencies', 'getConfigFiles', 'getEditConfigs',
+    'getSourceFiles', 'getHeaderFiles', 'getResourceFiles', 'getLibFiles', 'getFrameworks',
+    'getPodSpecs', 'getJsModules'
+];
+
+/**
+ * Feeds the getter output of a plugin into a builder.
+ *
+ * @param {PluginInfo} plugin
+ * @return {PluginInfo}
+ */
+function rebuild (plugin) {
+    const builder = new PluginInfoBuilder({
+        id: plugin.id,
+        version: plugin.version,
+        name: plugin.name,
+        description: plugin.description,
+        license: plugin.license,
+        keywords: plugin.keywords
+    });
+    // Getters for elements that can be global return those first
+    const platformOnly = (getter, platform) => plugin[getter](platform).slice(plugin[getter]('none').length);
+
+    plugin.getAssets('none').forEach(asset => builder.addAsset(asset));
+    plugin.getConfigFiles('none').forEach(configFile => builder.addConfigFile(configFile));
+    plugin.getJsModules('none').forEach(jsModule => builder.addJsModule(jsModule));
+
+    for (const platform of plugin.getPlatformsArray()) {
+        platformOnly('getAssets', platform).forEach(asset => builder.addAsset(Object.assign({ platform }, asset)));
+        platformOnly('getConfigFiles', platform).forEach(configFile => builder.addConfigFile(Object.assign({ platform }, configFile)));
+        platformOnly('getEditConfigs', platform).forEach(editConfig => builder.addEditConfig(Object.assign({ platform }, editConfig)));
+        platformOnly('getJsModules', platform).forEach(jsModule => builder.addJsModule(Object.assign({ platform }, jsModule)));
+        platformOnly('getFrameworks', platform).forEach(framework => builder.addFramework(Object.assign({ platform }, framework)));
+        plugin.getSourceFiles(platform).forEach(file => builder.addSourceFile(platform, file));
+        plugin.getHeaderFiles(platform).forEach(file => builder.addHeaderFile(platform, file));
+        plugin.getResourceFiles(platform).forEach(file => builder.addResourceFile(platform, file));
+        plugin.getLibFiles(platform).forEach(file => builder.addLibFile(platform, file));
+        plugin.getPodSpecs(platform).forEach(podspec => builder.addPodspec(platform, podspec));
+    }
+
+    return PluginInfo.fromString(builder.toXml());
+}
+
+// Makes getter output comparable across documents
+function normalize (items) {
+    return JSON.parse(JSON.stringify(items, (key, value) => {
+        if (key === 'xmls') {
+            return value
+                .filter(elem => typeof elem.tag === 'string')
+                .map(elem => et.tostring(elem, { xml_declaration: false }).replace(/>\s+</g, '><'));
+        }
+        return value;
+    }));
+}
@@ -18,6 +18,7 @@
 */
 
 const PluginInfoProvider = require('../../src/PluginInfo/PluginInfoProvider');
+const PluginInfo = require('../../src/PluginInfo/PluginInfo');
 const path = require('path');
 
 const pluginsDir = path.join(__dirname, '../fixtures/plugins');
@@ -33,5 +34,21 @@ describe('PluginInfoProvider', function () {
                 dir: path.join(pluginsDir, '@scope/test')
             }));
         });
+
+        it('should include virtual plugins in the dir', function () {
+            const pluginInfoProvider = new PluginInfoProvider();
+            const countOnDisk = pluginInfoProvider.getAllWithinSearchPath(pluginsDir).length;
+            const virtualPlugin = PluginInfo.fromString('<plugin id="org.test.virtual" version="1.0.0" />', {
+                dir: path.join(pluginsDir, 'org.test.virtual')
+            });
+
+            pluginInfoProvider.put(virtualPlugin);
+            pluginInfoProvider.put(PluginInfo.fromString('<plugin id="org.test.elsewhere" version="1.0.0" />'));
+
+            const plugins = pluginInfoProvider.getAllWithinSearchPath(pluginsDir);
+            expect(plugins.length).toBe(countOnDisk + 1);
+            expect(plugins).toContain(virtualPlugin);
+            expect(pluginInfoProvider.get(path.join(pluginsDir, 'org.test.virtual'))).toBe(virtualPlugin);
+        });
     });
 });
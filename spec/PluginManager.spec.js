@@ -90,6 +90,56 @@ describe('PluginManager class', function () {
                     });
             });
 
+            it('should skip elements that do not apply to the engine versions', () => {
+                const plugin = PluginInfo.fromString(`<plugin id="org.test.conditional" version="1.0.0">
+    <platform name="windows">
+        <source-file src="src/windows/Common.js" />
+        <source-file src="src/windows/Legacy.js" engine="cordova-windows" versions="&lt;8.0.0" />
+    </platform>
+</plugin>`);
+
+                const engineVersions = { 'cordova-windows': '8.0.0' };
+                spyOn(manager.munger, 'add_plugin_changes').and.callThrough();
+                spyOn(manager.munger, 'remove_plugin_changes').and.callThrough();
+
+                return manager.addPlugin(plugin, { engineVersions })
+                    .then(function () {
+                        expect(actions.createAction.calls.allArgs().map(args => args[1][0].src)).toEqual(['src/windows/Common.js']);
+                        expect(manager.munger.add_plugin_changes).toHaveBeenCalledWith(plugin, undefined, true, true, undefined, engineVersions);
+
+                        return manager.removePlugin(plugin, { engineVersions });
+                    })
+                    .then(function () {
+                        expect(manager.munger.remove_plugin_changes).toHaveBeenCalledWith(plugin, true, engineVersions);
+                    });
+            });
+
+            describe('with a plugin that requires a variable', () => {
+                const plugin = PluginInfo.fromString(`<plugin id="org.test.requiredvar" version="1.0.0">
+    <preference name="API_KEY" />
+    <platform name="windows">
+        <framework src="com.example:sdk:$API_KEY" />
+    </platform>
+</plugin>`);
+
+                it('should install the plugin if the variable is passed', () => {
+                    return expectAsync(manager.addPlugin(plugin, { variables: { API_KEY: 'k' } })).toBeResolved();
+                });
+
+                it('should reject without installing anything if the variable is missing', () => {
+                    return expectAsync(manager.addPlugin(plugin, {}))
+                        .toBeRejectedWithError(/requires the variables API_KEY/)
+                        .then(() => {
+                            expect(actions.process).not.toHaveBeenCalled();
+                            expect(FAKE_PROJECT.write).not.toHaveBeenCalled();
+                        });
+                });
+
+                it('should uninstall the plugin without variables', () => {
+                    return expectAsync(manager.removePlugin(plugin, {})).toBeResolved();
+                });
+            });
+
             it('Test 005 : should save plugin metadata to www directory', () => {
                 const metadataPath = path.join(manager.locations.www, 'cordova_plugins.js');
                 const platformWwwMetadataPath = path.join(manager.locations.platformWww, 'cordova_plugins.js');
@@ -0,0 +1 @@
+module.exports = context => { throw new Error('hidden files must not run'); };
@@ -0,0 +1,3 @@
+module.exports = context => {
+    context.opts.calls.push('hooks-dir-01');
+};
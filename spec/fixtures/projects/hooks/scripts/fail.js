@@ -0,0 +1 @@
+module.exports = () => Promise.reject(new Error('boom'));
@@ -0,0 +1,107 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+const { parseEngineSpec, checkEngine, getInstalledVersion, createEngineError } = require('../../src/util/engine-helpers');
+const CordovaError = require('../../src/CordovaError');
+
+describe('engine-helpers', function () {
+    describe('parseEngineSpec', function () {
+        it('should parse semver ranges', function () {
+            expect(parseEngineSpec('^12.0.0')).toEqual({ type: 'range', range: '^12.0.0', raw: '^12.0.0' });
+            expect(parseEngineSpec('>=6.2.1 <8')).toEqual(jasmine.objectContaining({ type: 'range', range: '>=6.2.1 <8' }));
+            expect(parseEngineSpec('cordova-android@~12.0.1')).toEqual(jasmine.objectContaining({ type: 'range', range: '~12.0.1' }));
+            expect(parseEngineSpec('@scope/platform@1.x')).toEqual(jasmine.objectContaining({ type: 'range', range: '1.x' }));
+        });
+
+        it('should treat missing specs as any version', function () {
+            expect(parseEngineSpec(null)).toEqual({ type: 'range', range: '*', raw: '' });
+        });
+
+        it('should recognize git URLs', function () {
+            [
+                'https://github.com/apache/cordova-android.git',
+                'git+ssh://git@github.com/apache/cordova-android.git#rel/12.0.0',
+                'github:apache/cordova-android',
+                'apache/cordova-android#master'
+            ].forEach(spec => expect(parseEngineSpec(spec).type).toBe('git', spec));
+        });
+
+        it('should recognize local paths', function () {
+            ['../cordova-android', './platforms/ios', '/opt/cordova-ios', 'file:../cordova-ios', 'C:\\cordova-windows']
+                .forEach(spec => expect(parseEngineSpec(spec).type).toBe('path', spec));
+        });
+
+        it('should reject anything else', function () {
+            expect(parseEngineSpec('latest and greatest').type).toBe('invalid');
+        });
+    });
+
+    describe('checkEngine', function () {
+        it('should check installed versions against ranges', function () {
+            expect(checkEngine('android', '^12.0.0', '12.1.0').satisfied).toBe(true);
+            expect(checkEngine('android', '^12.0.0', '11.0.0')).toEqual({
+                name: 'android', spec: '^12.0.0', installed: '11.0.0', satisfied: false, reason: '11.0.0 does not satisfy ^12.0.0'
+            });
+        });
+
+        it('should accept prerelease versions', function () {
+            expect(checkEngine('cordova', '>=11.0.0', '12.0.0-dev').satisfied).toBe(true);
+        });
+
+        it('should not decide for git URLs, paths and missing engines', function () {
+            expect(checkEngine('ios', 'https://github.com/apache/cordova-ios.git', '7.0.0').satisfied).toBeNull();
+            expect(checkEngine('ios', '../cordova-ios', '7.0.0').satisfied).toBeNull();
+            expect(checkEngine('ios', '^7.0.0')).toEqual(jasmine.objectContaining({ satisfied: null, reason: 'not installed' }));
+        });
+
+        it('should fail for invalid specs', function () {
+            expect(checkEngine('ios', 'whatever works', '7.0.0').satisfied).toBe(false);
+        });
+    });
+
+    describe('getInstalledVersion', function () {
+        it('should match names with and without the cordova- prefix', function () {
+            expect(getInstalledVersion({ android: '12.0.0' }, 'cordova-android')).toBe('12.0.0');
+            expect(getInstalledVersion({ 'cordova-ios': '7.0.0' }, 'ios')).toBe('7.0.0');
+            expect(getInstalledVersion({ cordova: '12.0.0' }, 'cordova')).toBe('12.0.0');
+            expect(getInstalledVersion({}, undefined)).toBeUndefined();
+        });
+    });
+
+    describe('createEngineError', function () {
+        it('should return null if all engines are satisfied or unchecked', function () {
+            expect(createEngineError([checkEngine('ios', '^7.0.0')], 'config.xml')).toBeNull();
+        });
+
+        it('should describe each unsatisfied engine', function () {
+            const checks = [
+                checkEngine('android', '^12.0.0', '11.0.0'),
+                checkEngine('ios', 'whatever', '7.0.0')
+            ];
+            const error = createEngineError(checks, 'config.xml');
+
+            expect(error).toEqual(jasmine.any(CordovaError));
+            expect(error.message).toBe([
+                'Unsatisfied engine requirements in config.xml:',
+                '  android: 11.0.0 does not satisfy ^12.0.0. Install a version matching ^12.0.0 or change the requirement.',
+                '  ios: "whatever" is neither a semver range, a git URL nor a path. Fix the spec of the engine.'
+            ].join('\n'));
+        });
+    });
+});
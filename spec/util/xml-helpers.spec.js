@@ -18,6 +18,7 @@
 */
 
 const path = require('path');
+const fs = require('fs-extra');
 const et = require('elementtree');
 const xml_helpers = require('../../src/util/xml-helpers');
 
@@ -58,6 +59,56 @@ describe('xml-helpers', function () {
                 xml_helpers.parseElementtreeSync(xml_path);
             }).not.toThrow();
         });
+
+        it('should parse xml from a string', function () {
+            const doc = xml_helpers.parseElementtree('\ufeff' + TEST_XML, { trackPositions: true });
+
+            expect(doc.getroot().tag).toBe('widget');
+            expect(xml_helpers.getSourcePosition(doc.find('author'))).toEqual({ line: 10, column: 5 });
+        });
+
+        it('should record element positions if requested', function () {
+            spyOn(fs, 'readFileSync').and.returnValue(TEST_XML);
+            const doc = xml_helpers.parseElementtreeSync('config.xml', { trackPositions: true });
+
+            expect(xml_helpers.getSourcePosition(doc.getroot())).toEqual({ line: 2, column: 1 });
+            expect(xml_helpers.getSourcePosition(doc.find('author'))).toEqual({ line: 10, column: 5 });
+            expect(xml_helpers.getSourcePosition(et.Element('name'))).toBeUndefined();
+        });
+
+        it('should record attribute positions if requested', function () {
+            spyOn(fs, 'readFileSync').and.returnValue(TEST_XML);
+            const doc = xml_helpers.parseElementtreeSync('config.xml', { trackPositions: true });
+
+            expect(xml_helpers.getSourcePosition(doc.getroot(), 'version')).toEqual({ line: 5, column: 9 });
+            expect(xml_helpers.getSourcePosition(doc.find('author'), 'email')).toEqual({ line: 10, column: 38 });
+            expect(xml_helpers.getSourcePosition(doc.find('author'), 'missing')).toBeUndefined();
+        });
+
+        it('should format source locations', function () {
+            spyOn(fs, 'readFileSync').and.returnValue(TEST_XML);
+            const doc = xml_helpers.parseElementtreeSync('config.xml', { trackPositions: true });
+            const author = doc.find('author');
+
+            expect(xml_helpers.formatSourceLocation('config.xml', author)).toBe('config.xml:10:5');
+            expect(xml_helpers.formatSourceLocation('config.xml', author, 'email')).toBe('config.xml:10:38');
+            expect(xml_helpers.formatSourceLocation('config.xml', author, 'missing')).toBe('config.xml:10:5');
+            expect(xml_helpers.formatSourceLocation('config.xml', et.Element('name'))).toBe('config.xml');
+        });
+
+        it('should not record element positions by default', function () {
+            spyOn(fs, 'readFileSync').and.returnValue(TEST_XML);
+            const doc = xml_helpers.parseElementtreeSync('config.xml');
+
+            expect(xml_helpers.getSourcePosition(doc.getroot())).toBeUndefined();
+        });
+
+        it('should add the position to parse errors', function () {
+            spyOn(fs, 'readFileSync').and.returnValue('<widget>\n    <name></widget>');
+
+            expect(() => xml_helpers.parseElementtreeSync('config.xml', { trackPositions: true }))
+                .toThrow(jasmine.objectContaining({ line: 2, column: 19 }));
+        });
     });
 
     describe('equalNodes', function () {
@@ -498,4 +549,68 @@ describe('xml-helpers', function () {
             expect(testElements[0].attrib.value).toEqual('all');
         });
     });
+
+    describe('writePreservingFormat', function () {
+        const FORMATTED_XML = '\uFEFF<?xml version="1.0"?>\r\n' +
+            '<!-- license -->\r\n' +
+            '<widget id="io.cordova.hello"   version="0.0.1">\r\n' +
+            '\t<name short=\'Hi\'>Hello &amp; welcome</name>\r\n' +
+            '\t<!-- rules -->\r\n' +
+            '\t<access origin="*" />\r\n' +
+            '\t<access origin="https://example.com"/>\r\n' +
+            '\t<description><![CDATA[ <b>Hello</b> ]]></description>\r\n' +
+            '\t<platform name="android"></platform>\r\n' +
+            '\t<platform name="ios" />\r\n' +
+            '</widget>\r\n';
+
+        let doc;
+        beforeEach(function () {
+            spyOn(fs, 'readFileSync').and.returnValue(FORMATTED_XML);
+            doc = xml_helpers.parseElementtreeSync('config.xml', { trackPositions: true });
+        });
+
+        it('should reproduce an unmodified document exactly', function () {
+            expect(xml_helpers.writePreservingFormat(doc)).toBe(FORMATTED_XML);
+        });
+
+        it('should only rewrite modified attributes and text', function () {
+            doc.getroot().attrib.version = '1.0.0';
+            doc.getroot().attrib.xmlns = 'http://www.w3.org/ns/widgets';
+            doc.find('name').text = 'Bye <3';
+
+            expect(xml_helpers.writePreservingFormat(doc)).toBe(FORMATTED_XML
+                .replace('version="0.0.1">', 'version="1.0.0" xmlns="http://www.w3.org/ns/widgets">')
+                .replace('Hello &amp; welcome', 'Bye &lt;3')
+            );
+        });
+
+        it('should remove elements along with their indentation', function () {
+            const root = doc.getroot();
+            root.remove(doc.findall('access')[1]);
+
+            expect(xml_helpers.writePreservingFormat(doc)).toBe(FORMATTED_XML
+                .replace('\t<access origin="https://example.com"/>\r\n', '')
+            );
+        });
+
+        it('should indent added elements like their siblings', function () {
+            et.SubElement(doc.getroot(), 'preference', { name: 'a', value: 'b' });
+            et.SubElement(doc.find('platform'), 'preference', { name: 'c', value: 'd' });
+            const icon = et.SubElement(doc.findall('platform')[1], 'icon', { src: 'icon.png' });
+            et.SubElement(icon, 'nested');
+
+            expect(xml_helpers.writePreservingFormat(doc)).toBe(FORMATTED_XML
+                .replace('<platform name="android"></platform>',
+                    '<platform name="android">\r\n\t\t<preference name="c" value="d" />\r\n\t</platform>')
+                .replace('<platform name="ios" />',
+                    '<platform name="ios">\r\n\t\t<icon src="icon.png">\r\n\t\t\t<nested />\r\n\t\t</icon>\r\n\t</platform>')
+                .replace('</widget>', '\t<preference name="a" value="b" />\r\n</widget>')
+            );
+        });
+
+        it('should write documents without source information like elementtree', function () {
+            const newDoc = new et.ElementTree(et.XML('<widget><name>x</name></widget>'));
+            expect(xml_helpers.writePreservingFormat(newDoc)).toBe(newDoc.write({ indent: 4 }));
+        });
+    });
 });
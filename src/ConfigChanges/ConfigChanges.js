@@ -36,9 +36,9 @@ const events = require('../events');
 const mungeutil = require('./munge-util');
 const xml_helpers = require('../util/xml-helpers');
 
-exports.process = (plugins_dir, project_dir, platform, platformJson, pluginInfoProvider) => {
+exports.process = (plugins_dir, project_dir, platform, platformJson, pluginInfoProvider, engineVersions) => {
     const munger = new PlatformMunger(platform, project_dir, platformJson, pluginInfoProvider);
-    munger.process(plugins_dir);
+    munger.process(plugins_dir, engineVersions);
     munger.save_all();
 };
 
@@ -57,9 +57,9 @@ class PlatformMunger {
         this.pluginInfoProvider = pluginInfoProvider;
     }
 
-    // Write out all unsaved files.
-    save_all () {
-        this.config_keeper.save_all();
+    // Write out all unsaved files. opts are passed on to ConfigFile#save.
+    save_all (opts) {
+        this.config_keeper.save_all(opts);
         this.platformJson.save();
     }
 
@@ -81,7 +81,10 @@ class PlatformMunger {
         }
     }
 
-    remove_plugin_changes (pluginInfo, is_top_level) {
+    // engineVersions are the versions of the installed engines by name. Only
+    // the <config-file> elements of the plugin without an engine condition
+    // or with one that they satisfy are considered, see PluginInfo#getConfigFiles.
+    remove_plugin_changes (pluginInfo, is_top_level, engineVersions) {
         const platform_config = this.platformJson.root;
         const plugin_vars = is_top_level
             ? platform_config.installed_plugins[pluginInfo.id]
@@ -90,7 +93,7 @@ class PlatformMunger {
         const edit_config_changes = this._getChanges(pluginInfo, 'EditConfig');
 
         // get config munge, aka how did this plugin change various config files
-        const config_munge = this.generate_plugin_config_munge(pluginInfo, plugin_vars, edit_config_changes);
+        const config_munge = this.generate_plugin_config_munge(pluginInfo, plugin_vars, edit_config_changes, engineVersions);
 
         this._munge_helper(config_munge, { remove: true });
 
@@ -100,7 +103,12 @@ class PlatformMunger {
         return this;
     }
 
-    add_plugin_changes (pluginInfo, plugin_vars, is_top_level, should_increment, plugin_force) {
+    // See remove_plugin_changes for engineVersions
+    add_plugin_changes (pluginInfo, plugin_vars, is_top_level, should_increment, plugin_force, engineVersions) {
+        // Fail early instead of leaving $VARIABLES in the config files. The
+        // resolved values are stored so that removal reverts the same changes.
+        plugin_vars = pluginInfo.resolveVariables(this.platform, { cliVariables: plugin_vars || {} });
+
         const edit_config_changes = this._getChanges(pluginInfo, 'EditConfig');
 
         const { configConflicts, pluginConflicts } = this._is_conflicting(edit_config_changes);
@@ -121,11 +129,11 @@ class PlatformMunger {
         }
 
         // get config munge, aka how should this plugin change various config files
-        const config_munge = this.generate_plugin_config_munge(pluginInfo, plugin_vars, edit_config_changes);
+        const config_munge = this.generate_plugin_config_munge(pluginInfo, plugin_vars, edit_config_changes, engineVersions);
         this._munge_helper(config_munge, { should_increment });
 
         // Move to installed/dependent_plugins
-        this.platformJson.addPlugin(pluginInfo.id, plugin_vars || {}, is_top_level);
+        this.platformJson.addPlugin(pluginInfo.id, plugin_vars, is_top_level);
 
         return this;
     }
@@ -196,8 +204,8 @@ class PlatformMunger {
     }
 
     // Generate the munge object from plugin.xml + vars
-    generate_plugin_config_munge (pluginInfo, vars, edit_config_changes) {
-        const changes = pluginInfo.getConfigFiles(this.platform);
+    generate_plugin_config_munge (pluginInfo, vars, edit_config_changes, engineVersions) {
+        const changes = pluginInfo.getConfigFiles({ platform: this.platform, engineVersions });
         if (edit_config_changes) {
             Array.prototype.push.apply(changes, edit_config_changes);
         }
@@ -286,19 +294,20 @@ class PlatformMunger {
 
     // Go over the prepare queue and apply the config munges for each plugin
     // that has been (un)installed.
-    process (plugins_dir) {
+    // See remove_plugin_changes for engineVersions
+    process (plugins_dir, engineVersions) {
         const platform_config = this.platformJson.root;
 
         // Uninstallation first
         platform_config.prepare_queue.uninstalled.forEach(u => {
             const pluginInfo = this.pluginInfoProvider.get(path.join(plugins_dir, u.plugin));
-            this.remove_plugin_changes(pluginInfo, u.topLevel);
+            this.remove_plugin_changes(pluginInfo, u.topLevel, engineVersions);
         });
 
         // Now handle installation
         platform_config.prepare_queue.installed.forEach(u => {
             const pluginInfo = this.pluginInfoProvider.get(path.join(plugins_dir, u.plugin));
-            this.add_plugin_changes(pluginInfo, u.vars, u.topLevel, true, u.force);
+            this.add_plugin_changes(pluginInfo, u.vars, u.topLevel, true, u.force, engineVersions);
         });
 
         // Empty out installed/ uninstalled queues.
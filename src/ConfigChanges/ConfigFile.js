@@ -69,7 +69,7 @@ class ConfigFile {
         // the same in a future release
         if (ext === '.xml' || ext === '.appxmanifest' || ext === '.storyboard' || ext === '.jsproj') {
             this.type = 'xml';
-            this.data = modules.xml_helpers.parseElementtreeSync(filepath);
+            this.data = modules.xml_helpers.parseElementtreeSync(filepath, { trackPositions: true });
         } else {
             // plist file
             this.type = 'plist';
@@ -83,9 +83,15 @@ class ConfigFile {
         }
     }
 
-    save () {
+    // If preserveFormatting is set, XML files are written such that only the
+    // modified parts differ from what was loaded. Plist files are always
+    // re-serialized.
+    save ({ preserveFormatting = false } = {}) {
         if (this.type === 'xml') {
-            fs.writeFileSync(this.filepath, this.data.write({ indent: 4 }), 'utf8');
+            const xml = preserveFormatting
+                ? modules.xml_helpers.writePreservingFormat(this.data)
+                : this.data.write({ indent: 4 });
+            fs.writeFileSync(this.filepath, xml, 'utf8');
         } else {
             // plist
             const regExp = /<string>[ \t\r\n]+?<\/string>/g;
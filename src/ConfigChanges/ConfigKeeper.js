@@ -52,9 +52,10 @@ class ConfigKeeper {
         return this._cache.get(fake_path);
     }
 
-    save_all () {
+    // opts are passed on to ConfigFile#save
+    save_all (opts) {
         this._cache.forEach(config_file => {
-            if (config_file.is_changed) config_file.save();
+            if (config_file.is_changed) config_file.save(opts);
         });
     }
 }
@@ -0,0 +1,283 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+const CordovaError = require('../CordovaError');
+
+// Splits hierarchical patterns like `https://*.example.com:8080/api/*` into
+// scheme, host, port and path. Same syntax as the AllowList of the platforms.
+const HIERARCHICAL_PATTERN = /^(?:(\*|[a-z][a-z0-9+.-]*):\/\/)?(\*|(?:\*\.)?[^*/:]+)?(?::(\d+))?(\/.*)?$/i;
+
+// Matches patterns like `tel:*` or `com.example.app:*` that do not use `//`
+const OPAQUE_PATTERN = /^(\*|[a-z][a-z0-9+.-]*):(?!\/\/|\d+(?:\/|$))(.*)$/i;
+
+// URL#port is empty for these, so `https://example.com:443` has to match it
+const DEFAULT_PORTS = { http: '80', https: '443', ws: '80', wss: '443', ftp: '21' };
+
+/**
+ * @typedef {'navigation' | 'request' | 'intent'} RuleKind
+ *
+ * @typedef {Object} PolicyRisk
+ * @prop {'error' | 'warning'} severity
+ * @prop {RuleKind} kind
+ * @prop {string} pattern the pattern of the rule that poses the risk
+ * @prop {string} message
+ */
+
+/**
+ * A single <access>, <allow-navigation> or <allow-intent> rule in normalized
+ * form. `null` fields match anything.
+ */
+class PolicyRule {
+    /**
+     * @param {RuleKind} kind
+     * @param {string} pattern the origin or href of the rule
+     * @param {Object<string, string>} [attributes] the other properties
+     *  reported by the ConfigParser getters, e.g. `minimum_tls_version`
+     */
+    constructor (kind, pattern, attributes = {}) {
+        this.kind = kind;
+        this.pattern = pattern;
+        this.attributes = attributes;
+
+        /** @type {string[] | null} lower-cased schemes */
+        this.schemes = null;
+        /** @type {string | null} lower-cased host without `*.` */
+        this.host = null;
+        this.includeSubdomains = false;
+        /** @type {string | null} */
+        this.port = null;
+        /** @type {string | null} glob for the path, or for everything after the scheme of opaque URLs */
+        this.path = null;
+        this.opaque = false;
+        this.valid = true;
+
+        if (pattern === '*') return;
+
+        const opaque = OPAQUE_PATTERN.exec(pattern);
+        if (opaque) {
+            this.opaque = true;
+            this.schemes = opaque[1] === '*' ? null : [opaque[1].toLowerCase()];
+            this.path = opaque[2] || null;
+            return;
+        }
+
+        const match = HIERARCHICAL_PATTERN.exec(pattern);
+        if (!match) {
+            this.valid = false;
+            return;
+        }
+
+        const [, scheme, host, port, path] = match;
+
+        if (!scheme) {
+            this.schemes = ['http', 'https'];
+        } else if (scheme !== '*') {
+            this.schemes = [scheme.toLowerCase()];
+        }
+
+        if (host && host !== '*') {
+            this.includeSubdomains = host.startsWith('*.') || attributes.subdomains === 'true';
+            this.host = host.replace(/^\*\./, '').toLowerCase();
+        }
+
+        this.port = port || null;
+        this.path = path || null;
+    }
+
+    /**
+     * @param {URL} url
+     * @return {boolean}
+     */
+    matches (url) {
+        if (!this.valid) return false;
+
+        const scheme = url.protocol.slice(0, -1);
+        if (this.schemes && !this.schemes.includes(scheme)) return false;
+
+        if (this.opaque) {
+            return !this.path || globToRegExp(this.path).test(url.href.slice(url.protocol.length));
+        }
+
+        if (this.host) {
+            const host = url.hostname;
+            const hostMatches = host === this.host ||
+                (this.includeSubdomains && host.endsWith(`.${this.host}`));
+            if (!hostMatches) return false;
+        }
+
+        if (this.port && (url.port || DEFAULT_PORTS[scheme]) !== String(Number(this.port))) return false;
+
+        return !this.path || globToRegExp(this.path).test(url.pathname);
+    }
+}
+
+/**
+ * The navigation and network policy defined by the <allow-navigation>,
+ * <access> and <allow-intent> rules of a config.xml.
+ *
+ * Only the rules in config.xml are considered. Platforms may allow more,
+ * e.g. the app's own files.
+ */
+class AccessPolicy {
+    /**
+     * @param {ConfigParser} config
+     */
+    constructor (config) {
+        const toRules = (kind, key, entries) => entries.map(({ [key]: pattern, ...attributes }) =>
+            new PolicyRule(kind, pattern, attributes)
+        );
+
+        // getAccesses() does not report the subdomains attribute
+        const subdomains = new Map((config.doc ? config.doc.findall('./access') : [])
+            .map(elem => [elem.attrib.origin, elem.attrib.subdomains]));
+        const accesses = config.getAccesses().map(access => subdomains.get(access.origin) === undefined
+            ? access
+            : Object.assign({ subdomains: subdomains.get(access.origin) }, access));
+
+        /** @type {PolicyRule[]} */
+        this.rules = [
+            ...toRules('navigation', 'href', config.getAllowNavigations()),
+            ...toRules('request', 'origin', accesses),
+            ...toRules('intent', 'href', config.getAllowIntents())
+        ];
+    }
+
+    /**
+     * @param {string} url
+     * @return {boolean} whether the web view may navigate to `url`
+     */
+    isNavigationAllowed (url) {
+        return this.findRule('navigation', url) !== null;
+    }
+
+    /**
+     * @param {string} url
+     * @return {boolean} whether the app may load resources from `url`
+     */
+    isRequestAllowed (url) {
+        return this.findRule('request', url) !== null;
+    }
+
+    /**
+     * @param {string} url
+     * @return {boolean} whether the app may ask the system to open `url`
+     */
+    isIntentAllowed (url) {
+        return this.findRule('intent', url) !== null;
+    }
+
+    /**
+     * @param {RuleKind} kind
+     * @param {string} url
+     * @return {PolicyRule | null} the first rule of `kind` that allows `url`
+     */
+    findRule (kind, url) {
+        const parsed = parseUrl(url);
+        return this.rules.find(rule => rule.kind === kind && rule.matches(parsed)) || null;
+    }
+
+    /**
+     * Explains how the policy treats `url`.
+     *
+     * @param {string} url
+     * @return {Object<RuleKind, PolicyRule | null>} the rule allowing `url`
+     *  for each kind of use, or null if it is blocked
+     */
+    explain (url) {
+        return {
+            navigation: this.findRule('navigation', url),
+            request: this.findRule('request', url),
+            intent: this.findRule('intent', url)
+        };
+    }
+
+    /**
+     * @return {PolicyRisk[]} the risky rules, in the order of `rules`
+     */
+    getRisks () {
+        const risks = [];
+        const add = (severity, rule, message) => risks.push({
+            severity, kind: rule.kind, pattern: rule.pattern, message
+        });
+
+        for (const rule of this.rules) {
+            const { attributes } = rule;
+
+            if (!rule.valid) {
+                add('warning', rule, `"${rule.pattern}" is not a valid pattern and will never match`);
+                continue;
+            }
+
+            if (rule.pattern === '*') {
+                if (rule.kind === 'navigation') {
+                    add('error', rule, 'Any page may be loaded into the web view and use the installed plugins');
+                } else if (rule.kind === 'request') {
+                    add('warning', rule, 'Network requests to any origin are allowed');
+                } else {
+                    add('warning', rule, 'Any URL may be opened by other apps');
+                }
+            } else if (rule.kind !== 'intent' && (!rule.schemes || rule.schemes.includes('http'))) {
+                add('warning', rule, `"${rule.pattern}" allows unencrypted HTTP traffic`);
+            }
+
+            if (rule.kind !== 'intent' && !rule.opaque && rule.pattern !== '*' && !rule.host) {
+                add('warning', rule, `"${rule.pattern}" matches any host`);
+            }
+
+            if (attributes.allows_arbitrary_loads_in_web_content === 'true') {
+                add('error', rule, 'allows-arbitrary-loads-in-web-content disables App Transport Security for web content');
+            }
+            if (attributes.allows_arbitrary_loads_for_media === 'true' || attributes.allows_arbitrary_loads_in_media === 'true') {
+                add('warning', rule, 'allows-arbitrary-loads-for-media disables App Transport Security for media');
+            }
+            if (/^TLSv1(\.[01])?$/.test(attributes.minimum_tls_version || '')) {
+                add('warning', rule, `minimum-tls-version ${attributes.minimum_tls_version} allows deprecated TLS versions`);
+            }
+        }
+
+        return risks;
+    }
+}
+
+/**
+ * @param {string} url
+ * @return {URL}
+ */
+function parseUrl (url) {
+    try {
+        return new URL(url);
+    } catch (e) {
+        throw new CordovaError(`Invalid URL: ${url}`);
+    }
+}
+
+/**
+ * @param {string} glob where `*` matches any sequence of characters
+ * @return {RegExp} anchored, case-insensitive
+ */
+function globToRegExp (glob) {
+    const source = glob
+        .split('*')
+        .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+        .join('.*');
+
+    return new RegExp(`^${source}$`, 'i');
+}
+
+module.exports = AccessPolicy;
@@ -17,36 +17,219 @@
     under the License.
 */
 
+const { dirname, join } = require('node:path');
 const et = require('elementtree');
-const { parseElementtreeSync } = require('../util/xml-helpers');
+const { parseElementtreeSync, writePreservingFormat, mergeXml } = require('../util/xml-helpers');
+const { checkEngine, getInstalledVersion, createEngineError } = require('../util/engine-helpers');
+const { definedProps } = require('../util/object-helpers');
 const CordovaError = require('../CordovaError');
 const fs = require('fs-extra');
+const semver = require('semver');
 const events = require('../events');
+const configSchema = require('./config-schema');
+const { interpolate, hasPlaceholders } = require('./config-variables');
+const { diff: diffConfigs } = require('./config-diff');
+const { checkImageResources, densityToSize } = require('./resource-checker');
+const PreferenceRegistry = require('./PreferenceRegistry');
+const AccessPolicy = require('./AccessPolicy');
 
 const CDV_XMLNS_URI = 'http://cordova.apache.org/ns/1.0';
 
 /** Wraps a config.xml file */
 class ConfigParser {
-    constructor (path) {
+    /**
+     * @param {string} path path to config.xml
+     * @param {ConfigParserOptions} [opts]
+     *
+     * @typedef {Object} ConfigParserOptions
+     * @prop {string[]} [overlays] paths to files like config.dev.xml that are
+     *  applied on top of config.xml in the given order. See `applyOverlay`.
+     * @prop {Object<string, string>} [variables] values for `${var:NAME}`
+     *  placeholders. See `config-variables.js` for all placeholders.
+     * @prop {boolean} [strict] whether getters throw on placeholders that
+     *  can not be resolved and on malformed typed preferences, instead of
+     *  returning the placeholders as is and warning about the preferences
+     * @prop {PreferenceRegistry} [preferenceRegistry] the known preferences,
+     *  defaults to `ConfigParser.preferenceRegistry`
+     * @prop {et.ElementTree} [doc] a document to use instead of reading
+     *  `path`. Its root must be <widget>.
+     */
+    constructor (path, {
+        overlays = [],
+        variables = {},
+        strict = false,
+        preferenceRegistry = ConfigParser.preferenceRegistry,
+        doc
+    } = {}) {
         this.path = path;
+        this.variables = variables;
+        this.strict = strict;
+        this.preferenceRegistry = preferenceRegistry;
+        this.doc = doc || parseConfigXml(path);
+        this.cdvNamespacePrefix = getCordovaNamespacePrefix(this.doc);
+        et.register_namespace(this.cdvNamespacePrefix, CDV_XMLNS_URI);
+
+        /** @type {string[]} paths of the overlays applied so far */
+        this.overlays = [];
+        this._layers = [{ file: path, values: collectValues(this.doc) }];
+
+        overlays.forEach(overlay => this.applyOverlay(overlay));
+    }
+
+    /**
+     * Merges an overlay file (e.g. config.prod.xml) into this config.
+     *
+     * The overlay is merged with the semantics of `xmlHelpers.mergeXml`: its
+     * attributes, texts and preferences take precedence, other elements are
+     * added unless an identical one exists already. <platform>, <plugin>,
+     * <engine> and <feature> elements can not be overlaid and are ignored.
+     *
+     * A config with overlays can not be written back to disk.
+     *
+     * @param {string} path path to the overlay file
+     */
+    applyOverlay (path) {
+        const overlay = parseConfigXml(path);
+        const root = overlay.getroot();
+
+        const ignored = root.getchildren().filter(child => mergeXml.DENIED_TAGS.includes(child.tag));
+        ignored.forEach(child => root.remove(child));
+
+        const ignoredTags = new Set(ignored.map(child => child.tag));
+        if (ignoredTags.size > 0) {
+            const tagList = [...ignoredTags].map(tag => `<${tag}>`).join(', ');
+            events.emit('warn', `Ignoring ${tagList} in overlay ${path}. These can only be set in ${this.path}.`);
+        }
+
+        mergeXml(root, this.doc.getroot(), undefined, true);
+
+        this.overlays.push(path);
+        this._layers.push({ file: path, values: collectValues(overlay) });
+    }
 
+    /**
+     * Explains where the effective values of this config come from.
+     *
+     * Values are identified by keys like `@version` for attributes of
+     * <widget>, `name` for the text of <name>, `content@src` for attributes of
+     * other elements, `preference[fullscreen]` for preferences (names are
+     * lower-cased) and `platform[android]/preference[fullscreen]` for
+     * platform preferences. Access rules are listed as `access[<origin>]`,
+     * `allow-navigation[<href>]` and `allow-intent[<href>]`.
+     *
+     * @return {ValueOrigin[]}
+     *
+     * @typedef {Object} ValueOrigin
+     * @prop {string} key
+     * @prop {string} value the effective value
+     * @prop {string | null} file the file that determined the value or null
+     *  if it was changed after loading
+     * @prop {{file: string, value: string}[]} definitions every definition
+     *  of the value, in the order the files were applied
+     */
+    getValueOrigins () {
+        return [...collectValues(this.doc)].map(([key, value]) => {
+            const definitions = this._layers
+                .filter(layer => layer.values.has(key))
+                .map(({ file, values }) => ({ file, value: values.get(key) }));
+
+            const last = definitions[definitions.length - 1];
+            const file = last && last.value === value ? last.file : null;
+
+            return { key, value, file, definitions };
+        });
+    }
+
+    /**
+     * @param {string} key a key as described for `getValueOrigins`
+     * @return {ValueOrigin | undefined}
+     */
+    getValueOrigin (key) {
+        return this.getValueOrigins().find(origin => origin.key === key);
+    }
+
+    /**
+     * @param {string} name preference name (case insensitive)
+     * @param {string} [platform] to explain a platform preference instead
+     * @return {ValueOrigin | undefined}
+     */
+    getPreferenceOrigin (name, platform) {
+        const key = `preference[${name.toLowerCase()}]`;
+        return this.getValueOrigin(platform ? `platform[${platform}]/${key}` : key);
+    }
+
+    /**
+     * Checks config.xml against the built-in schema of the elements Cordova
+     * understands.
+     *
+     * @return {ConfigDiagnostic[]} problems found, in document order. Elements
+     *  that were added after parsing are reported without line and column.
+     *
+     * @typedef {import('./config-schema').ConfigDiagnostic} ConfigDiagnostic
+     */
+    validate () {
+        return configSchema.validate(this.doc);
+    }
+
+    /**
+     * Same as `validate` but works on a file that might not even be
+     * well-formed XML or have a <widget> root.
+     *
+     * @param {string} path path to a config.xml
+     * @return {ConfigDiagnostic[]}
+     */
+    static validateFile (path) {
+        let doc;
         try {
-            this.doc = parseElementtreeSync(path);
-            this.cdvNamespacePrefix = getCordovaNamespacePrefix(this.doc);
-            et.register_namespace(this.cdvNamespacePrefix, CDV_XMLNS_URI);
+            doc = parseElementtreeSync(path, { trackPositions: true });
         } catch (e) {
-            events.emit('error', `Parsing ${path} failed`);
-            throw e;
+            // Errors without a position are not parse errors (e.g. ENOENT)
+            if (e.line === undefined) throw e;
+
+            return [{
+                severity: 'error',
+                message: `${path} is not well-formed XML: ${e.message.split('\n')[0]}`,
+                line: e.line,
+                column: e.column,
+                suggestion: 'Fix the XML syntax error'
+            }];
         }
 
-        const root = this.doc.getroot();
-        if (root.tag !== 'widget') {
-            throw new CordovaError(`${path} has incorrect root node name (expected "widget", was "${root.tag}")`);
+        return configSchema.validate(doc);
+    }
+
+    /**
+     * Resolves the placeholders in a value read from config.xml.
+     *
+     * Getters return resolved values while the document keeps the
+     * placeholders, so that `write` never persists resolved values.
+     *
+     * @param {string} value
+     * @return {string}
+     */
+    resolve (value) {
+        if (!hasPlaceholders(value)) return value;
+
+        return interpolate(value, {
+            env: process.env,
+            pkg: this._getPackageJson(),
+            var: this.variables
+        }, { strict: this.strict, file: this.path });
+    }
+
+    /** @return {Object | null} the package.json next to config.xml, if any */
+    _getPackageJson () {
+        if (this._packageJson === undefined) {
+            const packageJsonPath = join(dirname(this.path), 'package.json');
+            this._packageJson = fs.existsSync(packageJsonPath)
+                ? fs.readJsonSync(packageJsonPath)
+                : null;
         }
+        return this._packageJson;
     }
 
     getAttribute (attr) {
-        return this.doc.getroot().attrib[attr];
+        return this.resolve(this.doc.getroot().attrib[attr]);
     }
 
     packageName () {
@@ -70,7 +253,7 @@ class ConfigParser {
     }
 
     name () {
-        return getNodeTextSafe(this.doc.find('name'));
+        return this.resolve(getNodeTextSafe(this.doc.find('name')));
     }
 
     setName (name) {
@@ -78,7 +261,7 @@ class ConfigParser {
     }
 
     shortName () {
-        return this.doc.find('name').attrib.short || this.name();
+        return this.resolve(this.doc.find('name').attrib.short) || this.name();
     }
 
     setShortName (shortname) {
@@ -88,7 +271,7 @@ class ConfigParser {
     }
 
     description () {
-        return getNodeTextSafe(this.doc.find('description'));
+        return this.resolve(getNodeTextSafe(this.doc.find('description')));
     }
 
     setDescription (text) {
@@ -115,12 +298,99 @@ class ConfigParser {
         this.doc.getroot().attrib.version = value;
     }
 
+    /**
+     * @param {number | string} code a positive integer
+     * @throws {CordovaError} if `code` is not a positive integer
+     */
+    setAndroidVersionCode (code) {
+        this._setVersionAttribute('android-versionCode', String(code));
+    }
+
+    /**
+     * @param {string} version one to three period-separated integers
+     * @throws {CordovaError} if `version` is malformed
+     */
+    setIOSBundleVersion (version) {
+        this._setVersionAttribute('ios-CFBundleVersion', version);
+    }
+
+    /**
+     * @param {string} version one to four period-separated integers
+     * @throws {CordovaError} if `version` is malformed
+     */
+    setWindowsPackageVersion (version) {
+        this._setVersionAttribute('windows-packageVersion', version);
+    }
+
+    _setVersionAttribute (name, value) {
+        checkVersionAttribute(name, value);
+        this.doc.getroot().attrib[name] = value;
+    }
+
+    /**
+     * Increments the version following semver rules.
+     *
+     * The platform versions can be derived from the new version at the same
+     * time. Pass `true` to use the default formulas or a function that gets
+     * the new version as a `SemVer` and returns the value to use:
+     *
+     * - `androidVersionCode` defaults to MAJOR * 10000 + MINOR * 100 + PATCH,
+     *   which is what cordova-android uses if the attribute is missing
+     * - `iosBundleVersion` defaults to MAJOR.MINOR.PATCH
+     *
+     * @param {'major' | 'minor' | 'patch' | 'prerelease'} release
+     * @param {VersionBumpOptions} [opts]
+     * @return {string} the new version
+     * @throws {CordovaError} if the current version is not a valid semantic
+     *  version or `release` is unknown
+     *
+     * @typedef {Object} VersionBumpOptions
+     * @prop {string} [preid] identifier of new prereleases, e.g. 'beta'
+     * @prop {boolean | function(SemVer): (number | string)} [androidVersionCode]
+     * @prop {boolean | function(SemVer): string} [iosBundleVersion]
+     */
+    bumpVersion (release, { preid, androidVersionCode = false, iosBundleVersion = false } = {}) {
+        if (!RELEASE_TYPES.includes(release)) {
+            throw new CordovaError(`Unknown release type "${release}". Use one of ${RELEASE_TYPES.join(', ')}`);
+        }
+
+        // Bumping a resolved placeholder would replace it with a literal
+        const root = this.doc.getroot();
+        const names = ['version', androidVersionCode && 'android-versionCode', iosBundleVersion && 'ios-CFBundleVersion'];
+        const placeholder = names.find(name => name && hasPlaceholders(root.attrib[name]));
+        if (placeholder) {
+            throw new CordovaError(`Can not bump version of ${this.path}: ${placeholder} "${root.attrib[placeholder]}" is a placeholder. Change the value it refers to instead`);
+        }
+
+        const current = root.attrib.version;
+        if (!semver.valid(current)) {
+            throw new CordovaError(`Can not bump version of ${this.path}: "${current}" is not a valid semantic version`);
+        }
+
+        const version = semver.parse(semver.inc(current, release, preid));
+        const derive = (option, defaultFormula) => String((typeof option === 'function' ? option : defaultFormula)(version));
+        const attributes = { version: version.version };
+
+        if (androidVersionCode) {
+            attributes['android-versionCode'] = derive(androidVersionCode, VERSION_FORMULAS.androidVersionCode);
+        }
+        if (iosBundleVersion) {
+            attributes['ios-CFBundleVersion'] = derive(iosBundleVersion, VERSION_FORMULAS.iosBundleVersion);
+        }
+
+        // Check all values first so that a bad formula leaves the config untouched
+        Object.entries(attributes).forEach(([name, value]) => checkVersionAttribute(name, value));
+        Object.assign(root.attrib, attributes);
+
+        return version.version;
+    }
+
     author () {
-        return getNodeTextSafe(this.doc.find('author'));
+        return this.resolve(getNodeTextSafe(this.doc.find('author')));
     }
 
     getGlobalPreference (name) {
-        return this._getPrefElem(name).attrib.value;
+        return this.resolve(this._getPrefElem(name).attrib.value);
     }
 
     setGlobalPreference (name, value) {
@@ -128,10 +398,18 @@ class ConfigParser {
     }
 
     getPlatformPreference (name, platform) {
-        return this._getPrefElem(name, { platform }).attrib.value;
+        return this.resolve(this._getPrefElem(name, { platform }).attrib.value);
     }
 
-    setPlatformPreference (name, platform, value) {
+    /**
+     * @param {string} name preference name (case insensitive)
+     * @param {string} platform
+     * @param {string} value
+     * @param {{createPlatform?: boolean}} [opts] whether to add the <platform>
+     *  block if it is missing instead of throwing
+     */
+    setPlatformPreference (name, platform, value, { createPlatform = false } = {}) {
+        if (createPlatform) this.addPlatform(platform);
         this._getPrefElem(name, { platform, create: true }).attrib.value = value;
     }
 
@@ -149,6 +427,189 @@ class ConfigParser {
         this._getPrefElem(name, { platform, create: true }).attrib.value = value;
     }
 
+    /**
+     * Returns the preferences that apply to `platform`.
+     *
+     * Platform preferences take precedence over global ones, just like in
+     * `getPreference`. Names are compared case insensitively and reported as
+     * spelled by the element that determines the value.
+     *
+     * @param {string} [platform] to only get the global preferences if omitted
+     * @return {Object<string, string>} preference values by name
+     */
+    getPreferences (platform) {
+        const preferences = new Map();
+        const addPreferences = (parent, { skipEmpty = false } = {}) => {
+            parent.findall('preference').forEach(({ attrib: { name, value } }) => {
+                if (!name || (skipEmpty && !value)) return;
+                preferences.set(name.toLowerCase(), { name, value });
+            });
+        };
+
+        addPreferences(this.doc.getroot());
+        if (platform) {
+            this._getPlatformElems(platform).forEach(elem => addPreferences(elem, { skipEmpty: true }));
+        }
+
+        const result = {};
+        for (const { name, value } of preferences.values()) {
+            result[name] = this.resolve(value);
+        }
+        return result;
+    }
+
+    /**
+     * Removes all definitions of a preference.
+     *
+     * @param {string} name preference name (case insensitive)
+     * @param {string} [platform] to remove the platform preference instead of
+     *  the global one
+     */
+    removePreference (name, platform) {
+        const parents = platform ? this._getPlatformElems(platform) : [this.doc.getroot()];
+
+        parents.forEach(parent => {
+            parent.findall('preference')
+                .filter(elem => (elem.attrib.name || '').toLowerCase() === name.toLowerCase())
+                .forEach(elem => parent.remove(elem));
+        });
+    }
+
+    /**
+     * @param {string} name preference name (case insensitive)
+     * @param {string} [platform] to prefer the platform's value, if set
+     * @return {boolean | undefined} the preference value or its registered
+     *  default if it is not set
+     */
+    getBooleanPreference (name, platform) {
+        return this._getTypedPreference(name, platform, { type: 'boolean' });
+    }
+
+    /**
+     * @param {string} name preference name (case insensitive)
+     * @param {string} [platform] to prefer the platform's value, if set
+     * @return {number | undefined} the preference value or its registered
+     *  default if it is not set
+     */
+    getNumberPreference (name, platform) {
+        return this._getTypedPreference(name, platform, { type: 'number' });
+    }
+
+    /**
+     * @param {string} name preference name (case insensitive)
+     * @param {string[]} allowed the allowed values (case insensitive)
+     * @param {string} [platform] to prefer the platform's value, if set
+     * @return {string | undefined} the matching entry of `allowed` or the
+     *  registered default if the preference is not set
+     */
+    getEnumPreference (name, allowed, platform) {
+        return this._getTypedPreference(name, platform, { type: 'enum', allowed });
+    }
+
+    /**
+     * @param {string} name preference name (case insensitive)
+     * @param {string} [platform] to prefer the platform's value, if set
+     * @return {string[] | undefined} the comma separated entries of the
+     *  preference value or its registered default if it is not set
+     */
+    getListPreference (name, platform) {
+        return this._getTypedPreference(name, platform, { type: 'list' });
+    }
+
+    /**
+     * Returns the values of all preferences that apply to `platform`.
+     *
+     * This includes every preference registered in `preferenceRegistry`, set
+     * to its default if it is missing from config.xml. Values are converted
+     * to their registered types; unregistered preferences are strings.
+     *
+     * @param {string} [platform]
+     * @return {Object<string, *>} preference values by name
+     */
+    getAllPreferences (platform) {
+        const names = new Map();
+        const addName = name => {
+            if (name && !names.has(name.toLowerCase())) names.set(name.toLowerCase(), name);
+        };
+
+        this.preferenceRegistry.list(platform).forEach(({ name }) => addName(name));
+        Object.keys(this.getPreferences(platform)).forEach(addName);
+
+        const result = {};
+        for (const name of names.values()) {
+            result[name] = this._getTypedPreference(name, platform);
+        }
+        return result;
+    }
+
+    /**
+     * @param {string} name preference name (case insensitive)
+     * @param {string} [platform]
+     * @param {Partial<PreferenceRegistry.PreferenceDefinition>} [overrides]
+     *  take precedence over the registered definition of the preference
+     * @return {*} the converted preference value or the default if it is not
+     *  set or malformed (unless `strict` is set)
+     */
+    _getTypedPreference (name, platform, overrides) {
+        const definition = Object.assign(
+            { name, type: 'string' },
+            this.preferenceRegistry.get(name, platform),
+            overrides
+        );
+
+        const value = this.getPreference(name, platform);
+        if (value === '') return definition.default;
+
+        try {
+            return PreferenceRegistry.parseValue(value, definition);
+        } catch (e) {
+            if (this.strict) throw e;
+
+            events.emit('warn', `${e.message} in ${this.path}. Using the default value instead.`);
+            return definition.default;
+        }
+    }
+
+    /**
+     * @return {string[]} the names of the platforms that have a <platform>
+     *  block, in document order
+     */
+    getPlatforms () {
+        const names = this.doc.findall('platform')
+            .map(elem => elem.attrib.name)
+            .filter(Boolean);
+
+        return [...new Set(names)];
+    }
+
+    /**
+     * Adds a <platform> block unless there is one for `name` already.
+     *
+     * @param {string} name the platform name
+     */
+    addPlatform (name) {
+        if (!name || this._getPlatformElems(name).length > 0) return;
+
+        et.SubElement(this.doc.getroot(), 'platform', { name });
+    }
+
+    /**
+     * Removes all <platform> blocks for `name`, including their contents.
+     *
+     * @param {string} name the platform name
+     */
+    removePlatform (name) {
+        removeChildren(this.doc.getroot(), `./platform/[@name="${name}"]`);
+    }
+
+    /**
+     * @param {string} platform
+     * @return {et.Element[]} the <platform> elements for `platform`
+     */
+    _getPlatformElems (platform) {
+        return this.doc.findall(`./platform[@name="${platform}"]`);
+    }
+
     /**
      * Finds the element that determines the value of preference `name` within `parent`.
      *
@@ -158,7 +619,7 @@ class ConfigParser {
      */
     _getPrefElem (name, { create = false, platform } = {}) {
         const parent = platform
-            ? this.doc.findall(`./platform[@name="${platform}"]`).pop()
+            ? this._getPlatformElems(platform).pop()
             : this.doc.getroot();
 
         const makeElem = create ? et.SubElement.bind(null, parent) : et.Element;
@@ -185,21 +646,15 @@ class ConfigParser {
      * @return {ImageResources}     Resources for the platform specified.
      */
     getStaticResources (platform, resourceName) {
-        const normalizedAttrs = ({ attrib }) => ({
-            density: attrib[`${this.cdvNamespacePrefix}:density`] ||
-                attrib['gap:density'],
-            ...attrib
-        });
-
         // platform specific icons
         const platformResources = platform
             ? this.doc.findall(`./platform[@name="${platform}"]/${resourceName}`)
-                .map(elt => new ImageResource(normalizedAttrs(elt), { platform }))
+                .map(elt => new ImageResource(this._getResourceAttrs(elt), { platform }))
             : [];
 
         // root level resources
         const commonResources = this.doc.findall(resourceName)
-            .map(elt => new ImageResource(normalizedAttrs(elt)));
+            .map(elt => new ImageResource(this._getResourceAttrs(elt)));
 
         return ImageResources.create(...platformResources, ...commonResources);
     }
@@ -224,6 +679,24 @@ class ConfigParser {
         return this.getStaticResources(platform, 'splash');
     }
 
+    /**
+     * Checks the icons and splash screens of a platform for completeness.
+     *
+     * @param {string} platform
+     * @param {{legacySplash?: boolean}} [opts] whether to check the splash
+     *  screens that older platform versions expect
+     * @return {{icon: ResourceReport, splash: ResourceReport}} image paths are
+     *  checked relative to the directory of this config
+     */
+    checkImageResources (platform, { legacySplash = false } = {}) {
+        const opts = { projectRoot: dirname(this.path), legacySplash };
+
+        return {
+            icon: this.getIcons(platform).checkCompleteness(platform, 'icon', opts),
+            splash: this.getSplashScreens(platform).checkCompleteness(platform, 'splash', opts)
+        };
+    }
+
     /**
      * Returns all resource-files for a specific platform.
      *
@@ -245,6 +718,93 @@ class ConfigParser {
             .map(({ attrib }) => new FileResource(attrib, { platform }));
     }
 
+    /**
+     * Adds an icon. Does not check for duplicates.
+     *
+     * @param {Partial<ImageResource>} icon the icon to add; its `platform`
+     *  determines the scope. The <platform> block is created if necessary.
+     */
+    addIcon (icon) {
+        this._addResource('icon', icon);
+    }
+
+    /**
+     * Removes the icons in the scope of `icon.platform` that match all
+     * properties of `icon` that are set.
+     *
+     * @param {Partial<ImageResource>} icon
+     */
+    removeIcon (icon) {
+        this._removeResources('icon', icon);
+    }
+
+    /**
+     * Adds a splash screen. Does not check for duplicates.
+     *
+     * @param {Partial<ImageResource>} splash see `addIcon`
+     */
+    addSplashScreen (splash) {
+        this._addResource('splash', splash);
+    }
+
+    /**
+     * @param {Partial<ImageResource>} splash see `removeIcon`
+     */
+    removeSplashScreen (splash) {
+        this._removeResources('splash', splash);
+    }
+
+    /**
+     * Adds a resource-file. Does not check for duplicates.
+     *
+     * @param {Partial<FileResource>} resource see `addIcon`
+     */
+    addFileResource (resource) {
+        this._addResource('resource-file', resource);
+    }
+
+    /**
+     * @param {Partial<FileResource>} resource see `removeIcon`
+     */
+    removeFileResource (resource) {
+        this._removeResources('resource-file', resource);
+    }
+
+    /**
+     * @param {et.Element} elem an icon, splash or resource-file element
+     * @return {Object<string, string>} its attributes with the density
+     *  normalized
+     */
+    _getResourceAttrs ({ attrib }) {
+        return {
+            density: attrib[`${this.cdvNamespacePrefix}:density`] ||
+                attrib['gap:density'],
+            ...attrib
+        };
+    }
+
+    _addResource (tag, { platform, ...props }) {
+        let parent = this.doc.getroot();
+        if (platform) {
+            this.addPlatform(platform);
+            parent = this._getPlatformElems(platform).pop();
+        }
+
+        et.SubElement(parent, tag, resourceToAttributes(props));
+    }
+
+    _removeResources (tag, query) {
+        const platform = query.platform || null;
+        const parents = platform ? this._getPlatformElems(platform) : [this.doc.getroot()];
+        const Resource = tag === 'resource-file' ? FileResource : ImageResource;
+
+        parents.forEach(parent => {
+            parent.findall(tag)
+                .filter(elem => resourceMatches(new Resource(this._getResourceAttrs(elem), { platform }), query))
+                .forEach(elem => parent.remove(elem));
+        });
+    }
+
     /**
      * Returns all hook scripts for the hook type specified.
      *
@@ -339,11 +899,11 @@ class ConfigParser {
 
         const varFragments = pluginElement.findall('variable')
             .map(({ attrib: { name, value } }) =>
-                name ? { [name]: value } : null
+                name ? { [name]: this.resolve(value) } : null
             );
         const variables = Object.assign({}, ...varFragments);
 
-        return { name, spec: spec || src || version, variables };
+        return { name, spec: this.resolve(spec || src || version), variables };
     }
 
     /**
@@ -362,6 +922,112 @@ class ConfigParser {
         removeChildren(root, `./feature/param[@name="id"][@value="${id}"]/..`);
     }
 
+    /**
+     * Sets the spec of a plugin, replacing any legacy `src` or `version`.
+     *
+     * @param {string} id name of the plugin
+     * @param {string} spec
+     */
+    setPluginSpec (id, spec) {
+        const { attrib } = this._getPluginElem(id);
+        delete attrib.src;
+        delete attrib.version;
+        attrib.spec = spec;
+    }
+
+    /**
+     * Sets the value of a plugin variable, adding the variable if necessary.
+     *
+     * @param {string} id name of the plugin
+     * @param {string} name name of the variable
+     * @param {string} value
+     */
+    setPluginVariable (id, name, value) {
+        const pluginElem = this._getPluginElem(id);
+        const variableElem = pluginElem.findall('variable')
+            .filter(elem => elem.attrib.name === name)
+            .pop();
+
+        if (variableElem) {
+            variableElem.attrib.value = value;
+        } else {
+            et.SubElement(pluginElem, 'variable', { name, value });
+        }
+    }
+
+    /**
+     * @param {string} id name of the plugin
+     * @param {string} name name of the variable
+     */
+    removePluginVariable (id, name) {
+        const pluginElem = this._getPluginElem(id);
+        pluginElem.findall('variable')
+            .filter(elem => elem.attrib.name === name)
+            .forEach(elem => pluginElem.remove(elem));
+    }
+
+    /**
+     * Changes the name (id) of a plugin, keeping its spec and variables.
+     *
+     * @param {string} id current name of the plugin
+     * @param {string} newId
+     */
+    renamePlugin (id, newId) {
+        if (id === newId) return;
+        if (this.getPlugin(newId)) {
+            throw new CordovaError(`Can not rename plugin ${id} to ${newId}, since ${newId} exists already`);
+        }
+
+        this._getPluginElem(id).attrib.name = newId;
+    }
+
+    /**
+     * Replaces all legacy <feature> plugin entries with <plugin> elements at
+     * the same position.
+     *
+     * @return {string[]} the ids of the migrated plugins
+     */
+    migrateLegacyPlugins () {
+        return this.doc.findall('./feature/param[@name="id"]/..')
+            .map(featureElem => this._migrateLegacyPlugin(featureElem));
+    }
+
+    /**
+     * Finds the <plugin> element for `id`. Legacy <feature> entries for the
+     * plugin are migrated to a <plugin> element first.
+     *
+     * @param {string} id name of the plugin
+     * @return {et.Element}
+     */
+    _getPluginElem (id) {
+        const pluginElem = this.doc.find(`./plugin/[@name="${id}"]`);
+        if (pluginElem) return pluginElem;
+
+        const featureElem = this.doc.find(`./feature/param[@name="id"][@value="${id}"]/..`);
+        if (featureElem) {
+            events.emit('log', `Migrating deprecated feature entry for ${id} in config.xml to a plugin entry.`);
+            this._migrateLegacyPlugin(featureElem);
+            return this.doc.find(`./plugin/[@name="${id}"]`);
+        }
+
+        throw new CordovaError(`Plugin ${id} not found in ${this.path}`);
+    }
+
+    _migrateLegacyPlugin (featureElem) {
+        const { name, spec, variables } = featureToPlugin(featureElem);
+        const root = this.doc.getroot();
+
+        const pluginElem = et.Element('plugin', Object.assign({ name }, spec ? { spec } : null));
+        Object.entries(variables).forEach(([name, value]) => {
+            et.SubElement(pluginElem, 'variable', { name, value });
+        });
+
+        root.insert(root.getchildren().indexOf(featureElem), pluginElem);
+        root.remove(featureElem);
+
+        return name;
+    }
+
     // Add any element to the root
     addElement (name, attributes) {
         et.SubElement(this.doc.getroot(), name, attributes);
@@ -392,10 +1058,33 @@ class ConfigParser {
     getEngines () {
         return this.doc.findall('./engine').map(engine => ({
             name: engine.attrib.name,
-            spec: engine.attrib.spec || engine.attrib.version || null
+            spec: this.resolve(engine.attrib.spec || engine.attrib.version) || null
         }));
     }
 
+    /**
+     * Checks the engine specs against the installed engine versions.
+     *
+     * @param {Object<string, string>} installedVersions versions by engine
+     *  name, e.g. `{ android: '12.0.1' }`. The `cordova-` prefix of platform
+     *  names is optional.
+     * @param {{throwOnFailure?: boolean}} [opts]
+     * @return {EngineCheck[]} one check per engine. Git URLs, paths and
+     *  engines that are not installed can not be checked.
+     * @throws {CordovaError} if `throwOnFailure` is set and any engine is
+     *  unsatisfied
+     */
+    checkEngines (installedVersions, { throwOnFailure = false } = {}) {
+        const checks = this.getEngines().map(({ name, spec }) =>
+            checkEngine(name, spec, getInstalledVersion(installedVersions, name))
+        );
+
+        const error = throwOnFailure && createEngineError(checks, this.path);
+        if (error) throw error;
+
+        return checks;
+    }
+
     /**
      * @typedef {Object} CommonRuleOptions
      * @prop {string} [minimum_tls_version]
@@ -456,6 +1145,98 @@ class ConfigParser {
         }));
     }
 
+    /**
+     * Analyzes the access, allow-navigation and allow-intent rules.
+     *
+     * The policy reflects the rules at the time of the call.
+     *
+     * @return {AccessPolicy}
+     */
+    getAccessPolicy () {
+        return new AccessPolicy(this);
+    }
+
+    /**
+     * Adds an access rule or replaces the rule for the same origin.
+     *
+     * @param {AccessRule} rule properties are written as attributes with
+     *  dashes instead of underscores
+     */
+    addAccess (rule) {
+        this._setRule('access', 'origin', rule);
+    }
+
+    /**
+     * @param {string} origin
+     */
+    removeAccess (origin) {
+        this._removeRules('access', 'origin', origin);
+    }
+
+    /**
+     * Adds an allow-navigation rule or replaces the rule for the same href.
+     *
+     * @param {AllowNavigationRule} rule see `addAccess`
+     */
+    addAllowNavigation (rule) {
+        this._setRule('allow-navigation', 'href', rule);
+    }
+
+    /**
+     * @param {string} href
+     */
+    removeAllowNavigation (href) {
+        this._removeRules('allow-navigation', 'href', href);
+    }
+
+    /**
+     * Adds an allow-intent rule or replaces the rule for the same href.
+     *
+     * @param {{href: string}} rule
+     */
+    addAllowIntent (rule) {
+        this._setRule('allow-intent', 'href', rule);
+    }
+
+    /**
+     * @param {string} href
+     */
+    removeAllowIntent (href) {
+        this._removeRules('allow-intent', 'href', href);
+    }
+
+    /**
+     * Makes `rule` the only top-level `tag` element for its `key` attribute.
+     *
+     * An existing element is updated in place so that its position in the
+     * document is kept.
+     */
+    _setRule (tag, key, rule) {
+        const value = rule && rule[key];
+        if (!value) {
+            throw new CordovaError(`Can not add <${tag}> without ${key}`);
+        }
+
+        const attrs = Object.assign({ [key]: value }, ruleToAttributes(rule));
+        const root = this.doc.getroot();
+        const [existing, ...duplicates] = root.findall(tag)
+            .filter(elem => elem.attrib[key] === value);
+
+        duplicates.forEach(elem => root.remove(elem));
+        if (existing) {
+            existing.attrib = attrs;
+        } else {
+            et.SubElement(root, tag, attrs);
+        }
+    }
+
+    _removeRules (tag, key, value) {
+        const root = this.doc.getroot();
+        root.findall(tag)
+            .filter(elem => elem.attrib[key] === value)
+            .forEach(elem => root.remove(elem));
+    }
+
     /** Get all edit-config tags */
     getEditConfigs (platform) {
         const platform_edit_configs = this.doc.findall(`./platform[@name="${platform}"]/edit-config`);
@@ -486,8 +1267,371 @@ class ConfigParser {
         }));
     }
 
-    write () {
-        fs.writeFileSync(this.path, this.doc.write({ indent: 4 }), 'utf8');
+    /**
+     * Returns config.xml as a plain object that can be serialized as JSON.
+     *
+     * Values are returned as written in config.xml, i.e. placeholders are not
+     * resolved. Elements that ConfigParser does not interpret, like comments
+     * or unknown tags, are not included. Preferences are reduced to their
+     * effective values and all <platform> blocks of a platform are merged.
+     * Legacy <feature> plugin entries are listed as plugins.
+     *
+     * @return {ConfigJSON}
+     *
+     * @typedef {ScopeJSON & WidgetJSON} ConfigJSON
+     *
+     * @typedef {Object} WidgetJSON
+     * @prop {string} [id]
+     * @prop {string} [version]
+     * @prop {Object<string, string>} attributes all other attributes of
+     *  <widget>, including namespace declarations
+     * @prop {string} [name] the text of <name>
+     * @prop {string} [shortName] the `short` attribute of <name>
+     * @prop {string} [description]
+     * @prop {Object<string, string>} [author] the attributes of <author> and
+     *  its text as `name`
+     * @prop {Object<string, string>} [content] the attributes of <content>
+     * @prop {Object<string, string>[]} access the attributes of each <access>
+     * @prop {Object<string, string>[]} allowNavigation
+     * @prop {Object<string, string>[]} allowIntent
+     * @prop {{name: string, spec?: string}[]} engines
+     * @prop {{name: string, spec?: string, variables: Object<string, string>}[]} plugins
+     * @prop {Object<string, ScopeJSON>} platforms the platform specific
+     *  elements by platform name
+     *
+     * @typedef {Object} ScopeJSON elements that can be global or platform specific
+     * @prop {Object<string, string>} preferences values by name
+     * @prop {Object<string, string>[]} icons the attributes of each <icon>
+     * @prop {Object<string, string>[]} splash
+     * @prop {Object<string, string>[]} resourceFiles
+     * @prop {Object<string, string>[]} hooks
+     * @prop {XmlChangeJSON[]} editConfigs
+     * @prop {XmlChangeJSON[]} configFiles
+     *
+     * @typedef {Object<string, *>} XmlChangeJSON the attributes of an
+     *  <edit-config> or <config-file> and its child elements as XML strings
+     *  in `xml`
+     */
+    toJSON () {
+        const root = this.doc.getroot();
+        const { id, version, ...attributes } = root.attrib;
+        const json = definedProps({ id, version });
+        json.attributes = attributes;
+
+        const nameElem = root.find('name');
+        if (nameElem) {
+            Object.assign(json, definedProps({ name: nameElem.text || undefined, shortName: nameElem.attrib.short }));
+        }
+
+        const descriptionElem = root.find('description');
+        if (descriptionElem && descriptionElem.text) json.description = descriptionElem.text;
+
+        const authorElem = root.find('author');
+        if (authorElem) {
+            json.author = Object.assign({}, authorElem.attrib, definedProps({ name: authorElem.text || undefined }));
+        }
+
+        const contentElem = root.find('content');
+        if (contentElem) json.content = Object.assign({}, contentElem.attrib);
+
+        for (const [key, tag] of Object.entries(RULE_ELEMENTS)) {
+            json[key] = root.findall(tag).map(elem => Object.assign({}, elem.attrib));
+        }
+
+        Object.assign(json, scopeToJSON(root));
+
+        json.engines = root.findall('engine').map(({ attrib: { name, spec, version } }) =>
+            definedProps({ name, spec: spec || version })
+        );
+
+        json.plugins = [
+            ...root.findall('plugin').map(elem => {
+                const { name, spec, src, version } = elem.attrib;
+                const variables = {};
+                elem.findall('variable').forEach(({ attrib }) => {
+                    if (attrib.name) variables[attrib.name] = attrib.value;
+                });
+                return Object.assign(definedProps({ name, spec: spec || src || version }), { variables });
+            }),
+            ...root.findall('./feature/param[@name="id"]/..').map(elem => {
+                const { name, spec, variables } = featureToPlugin(elem);
+                return Object.assign(definedProps({ name, spec }), { variables: Object.assign({}, variables) });
+            })
+        ];
+
+        json.platforms = {};
+        root.findall('platform').forEach(platformElem => {
+            const name = platformElem.attrib.name;
+            const scope = scopeToJSON(platformElem);
+            const existing = json.platforms[name];
+
+            json.platforms[name] = existing
+                ? mergeScopeJSON(existing, scope)
+                : scope;
+        });
+
+        return json;
+    }
+
+    /**
+     * Creates a config from the output of `toJSON`.
+     *
+     * @param {ConfigJSON} json
+     * @param {string} [path] where the config will be written to
+     * @return {ConfigParser}
+     */
+    static fromJSON (json, path = 'config.xml') {
+        // Copy, so that changes to the config do not leak into json
+        json = JSON.parse(JSON.stringify(json));
+
+        const root = et.Element('widget', Object.assign(
+            definedProps({ id: json.id, version: json.version }),
+            { xmlns: 'http://www.w3.org/ns/widgets' },
+            json.attributes
+        ));
+
+        if (json.name !== undefined || json.shortName !== undefined) {
+            const nameElem = et.SubElement(root, 'name', definedProps({ short: json.shortName }));
+            if (json.name !== undefined) nameElem.text = json.name;
+        }
+
+        if (json.description !== undefined) {
+            et.SubElement(root, 'description').text = json.description;
+        }
+
+        if (json.author) {
+            const { name, ...attrs } = json.author;
+            const authorElem = et.SubElement(root, 'author', attrs);
+            if (name !== undefined) authorElem.text = name;
+        }
+
+        if (json.content) et.SubElement(root, 'content', json.content);
+
+        for (const [key, tag] of Object.entries(RULE_ELEMENTS)) {
+            (json[key] || []).forEach(attrs => et.SubElement(root, tag, attrs));
+        }
+
+        scopeFromJSON(root, json);
+
+        (json.engines || []).forEach(({ name, spec }) => {
+            et.SubElement(root, 'engine', definedProps({ name, spec }));
+        });
+
+        (json.plugins || []).forEach(({ name, spec, variables = {} }) => {
+            const pluginElem = et.SubElement(root, 'plugin', definedProps({ name, spec }));
+            Object.entries(variables).forEach(([name, value]) => {
+                et.SubElement(pluginElem, 'variable', { name, value });
+            });
+        });
+
+        Object.entries(json.platforms || {}).forEach(([name, scope]) => {
+            scopeFromJSON(et.SubElement(root, 'platform', { name }), scope);
+        });
+
+        return new ConfigParser(path, { doc: new et.ElementTree(root) });
+    }
+
+    /**
+     * Compares two configs by the values their getters report, so formatting,
+     * comments and attribute order make no difference.
+     *
+     * @param {ConfigParser | string} a the old config or the path to it
+     * @param {ConfigParser | string} b the new config or the path to it
+     * @return {ConfigChange[]} the changes from a to b
+     */
+    static diff (a, b) {
+        const load = config => typeof config === 'string' ? new ConfigParser(config) : config;
+        return diffConfigs(load(a), load(b));
+    }
+
+    /**
+     * Writes the config back to the file it was read from.
+     *
+     * @param {{preserveFormatting?: boolean}} [opts] if `preserveFormatting`
+     *  is set, only the elements that were added, changed or removed are
+     *  rewritten. Everything else, including comments and whitespace, stays
+     *  exactly as it was. Otherwise the whole document is re-serialized.
+     *
+     * Preferences that are defined more than once in the same scope are
+     * reduced to the definition that is in effect, i.e. the last one. This
+     * only affects the written file, `doc` is left as it is.
+     */
+    write ({ preserveFormatting = false } = {}) {
+        if (this.overlays.length > 0) {
+            throw new CordovaError(`Refusing to write ${this.path} since the overlays ${this.overlays.join(', ')} have been applied to it`);
+        }
+
+        const root = this.doc.getroot();
+        const restores = [root, ...root.findall('platform')].map(removeDuplicatePreferences);
+
+        let xml;
+        try {
+            xml = preserveFormatting
+                ? writePreservingFormat(this.doc)
+                : this.doc.write({ indent: 4 });
+        } finally {
+            restores.forEach(restore => restore());
+        }
+
+        fs.writeFileSync(this.path, xml, 'utf8');
+    }
+}
+
+function parseConfigXml (path) {
+    let doc;
+    try {
+        doc = parseElementtreeSync(path, { trackPositions: true });
+    } catch (e) {
+        events.emit('error', `Parsing ${path} failed`);
+        throw e;
+    }
+
+    const root = doc.getroot();
+    if (root.tag !== 'widget') {
+        throw new CordovaError(`${path} has incorrect root node name (expected "widget", was "${root.tag}")`);
+    }
+
+    return doc;
+}
+
+/**
+ * Collects the values defined in a config.xml document.
+ *
+ * @param {et.ElementTree} doc
+ * @return {Map<string, string>} values by the keys described for
+ *  ConfigParser#getValueOrigins
+ */
+function collectValues (doc) {
+    const root = doc.getroot();
+    const values = new Map();
+    const addAttributes = (prefix, { attrib }) => {
+        Object.entries(attrib)
+            .filter(([name]) => !name.startsWith('xmlns'))
+            .forEach(([name, value]) => values.set(`${prefix}@${name}`, value));
+    };
+    const addPreferences = (prefix, parent) => {
+        parent.findall('preference').forEach(({ attrib: { name, value } }) => {
+            if (name) values.set(`${prefix}preference[${name.toLowerCase()}]`, value);
+        });
+    };
+
+    addAttributes('', root);
+
+    for (const tag of ['name', 'description', 'author', 'content']) {
+        const elem = root.find(tag);
+        if (!elem) continue;
+
+        const text = getNodeTextSafe(elem);
+        if (text) values.set(tag, text);
+        addAttributes(tag, elem);
+    }
+
+    addPreferences('', root);
+    root.findall('platform').forEach(platform => {
+        addPreferences(`platform[${platform.attrib.name}]/`, platform);
+    });
+
+    [['access', 'origin'], ['allow-navigation', 'href'], ['allow-intent', 'href']].forEach(([tag, attr]) => {
+        root.findall(tag).forEach(({ attrib }) => {
+            if (attrib[attr]) values.set(`${tag}[${attrib[attr]}]`, attrib[attr]);
+        });
+    });
+
+    return values;
+}
+
+const RELEASE_TYPES = ['major', 'minor', 'patch', 'prerelease'];
+
+// Default derivations of the platform versions in bumpVersion
+const VERSION_FORMULAS = {
+    androidVersionCode: ({ major, minor, patch }) => major * 10000 + minor * 100 + patch,
+    iosBundleVersion: ({ major, minor, patch }) => `${major}.${minor}.${patch}`
+};
+
+// Lists of top-level elements in ConfigJSON
+const RULE_ELEMENTS = { access: 'access', allowNavigation: 'allow-navigation', allowIntent: 'allow-intent' };
+
+// Lists of elements in ScopeJSON, apart from preferences
+const SCOPE_ELEMENTS = { icons: 'icon', splash: 'splash', resourceFiles: 'resource-file', hooks: 'hook' };
+const SCOPE_XML_CHANGE_ELEMENTS = { editConfigs: 'edit-config', configFiles: 'config-file' };
+
+/**
+ * @param {et.Element} parent <widget> or <platform>
+ * @return {ScopeJSON}
+ */
+function scopeToJSON (parent) {
+    const json = { preferences: {} };
+    const spellings = new Map();
+
+    // Like in the getters, later preferences win regardless of name case
+    parent.findall('preference').forEach(({ attrib: { name, value } }) => {
+        if (!name) return;
+
+        const previous = spellings.get(name.toLowerCase());
+        if (previous !== undefined) delete json.preferences[previous];
+
+        spellings.set(name.toLowerCase(), name);
+        json.preferences[name] = value;
+    });
+
+    for (const [key, tag] of Object.entries(SCOPE_ELEMENTS)) {
+        json[key] = parent.findall(tag).map(elem => Object.assign({}, elem.attrib));
+    }
+
+    for (const [key, tag] of Object.entries(SCOPE_XML_CHANGE_ELEMENTS)) {
+        json[key] = parent.findall(tag).map(elem => Object.assign({}, elem.attrib, {
+            xml: elem.getchildren()
+                .filter(child => typeof child.tag === 'string')
+                .map(child => et.tostring(child, { xml_declaration: false }))
+        }));
+    }
+
+    return json;
+}
+
+/**
+ * @param {et.Element} parent <widget> or <platform>
+ * @param {ScopeJSON} json
+ */
+function scopeFromJSON (parent, json) {
+    Object.entries(json.preferences || {}).forEach(([name, value]) => {
+        et.SubElement(parent, 'preference', { name, value });
+    });
+
+    for (const [key, tag] of Object.entries(SCOPE_ELEMENTS)) {
+        (json[key] || []).forEach(attrs => et.SubElement(parent, tag, attrs));
+    }
+
+    for (const [key, tag] of Object.entries(SCOPE_XML_CHANGE_ELEMENTS)) {
+        (json[key] || []).forEach(({ xml = [], ...attrs }) => {
+            const elem = et.SubElement(parent, tag, attrs);
+            xml.forEach(childXml => elem.append(et.XML(childXml)));
+        });
+    }
+}
+
+/**
+ * @param {ScopeJSON} a
+ * @param {ScopeJSON} b
+ * @return {ScopeJSON} a with the elements of b appended
+ */
+function mergeScopeJSON (a, b) {
+    const merged = { preferences: Object.assign({}, a.preferences, b.preferences) };
+    for (const key of [...Object.keys(SCOPE_ELEMENTS), ...Object.keys(SCOPE_XML_CHANGE_ELEMENTS)]) {
+        merged[key] = [...a[key], ...b[key]];
+    }
+    return merged;
+}
+
+/**
+ * @param {string} name a version attribute of <widget>
+ * @param {string} value
+ * @throws {CordovaError} if `value` is not valid for `name`
+ */
+function checkVersionAttribute (name, value) {
+    const { pattern, expected } = configSchema.SCHEMA.widget.attributes[name];
+    if (!pattern.test(value)) {
+        throw new CordovaError(`Invalid ${name} "${value}". Use ${expected}`);
     }
 }
 
@@ -514,6 +1658,37 @@ function removeChildren (el, selector) {
     el.findall(selector).forEach(child => el.remove(child));
 }
 
+/**
+ * Removes all but the last of the preferences with the same name
+ * (case insensitive) from the direct children of `parent`.
+ *
+ * @param {et.Element} parent
+ * @return {function(): void} puts the children of `parent` back the way
+ *  they were
+ */
+function removeDuplicatePreferences (parent) {
+    const children = parent.getchildren().slice();
+    const seen = new Set();
+
+    parent.findall('preference').reverse().forEach(elem => {
+        const name = (elem.attrib.name || '').toLowerCase();
+        if (!name) return;
+
+        if (seen.has(name)) {
+            parent.remove(elem);
+        } else {
+            seen.add(name);
+        }
+    });
+
+    return () => {
+        if (parent.getchildren().length === children.length) return;
+
+        parent.getchildren().slice().forEach(child => parent.remove(child));
+        children.forEach(child => parent.append(child));
+    };
+}
+
 function featureToPlugin (featureElement) {
     const plugin = {};
     plugin.variables = [];
@@ -543,6 +1718,47 @@ function featureToPlugin (featureElement) {
     return plugin;
 }
 
+// Resource properties that are named differently than their XML attributes
+const RESOURCE_ATTRIBUTE_NAMES = { deviceTarget: 'device-target' };
+
+/**
+ * @param {Partial<BaseResource>} resource without its platform
+ * @return {Object<string, string>} the XML attributes describing `resource`
+ */
+function resourceToAttributes (resource) {
+    const attrs = {};
+    for (const [key, value] of Object.entries(resource)) {
+        if (value === undefined || value === null) continue;
+        attrs[RESOURCE_ATTRIBUTE_NAMES[key] || key] = String(value);
+    }
+    return attrs;
+}
+
+/**
+ * @param {BaseResource} resource
+ * @param {Partial<BaseResource>} query
+ * @return {boolean} whether all properties set in query (except for the
+ *  platform) have the same value in resource
+ */
+function resourceMatches (resource, query) {
+    return Object.entries(query)
+        .filter(([key, value]) => key !== 'platform' && value !== undefined && value !== null)
+        .every(([key, value]) => resource[key] !== undefined && String(resource[key]) === String(value));
+}
+
+/**
+ * @param {CommonRuleOptions} rule
+ * @return {Object<string, string>} the XML attributes describing `rule`
+ */
+function ruleToAttributes (rule) {
+    const attrs = {};
+    for (const [key, value] of Object.entries(rule)) {
+        if (value === undefined || value === null) continue;
+        attrs[key.replace(/_/g, '-')] = String(value);
+    }
+    return attrs;
+}
+
 /**
  * The attribute target is only used for the Windows & Electron platforms
  */
@@ -632,6 +1848,80 @@ class ImageResources extends Array {
     getDefault () {
         return this.defaultResource;
     }
+
+    /**
+     * Finds the resource that is best suited for an image of the given size
+     * or density.
+     *
+     * Android densities and pixel sizes are converted into each other, so
+     * an hdpi icon is found when asking for 72x72 pixels and vice versa. The
+     * best match is the smallest resource that is at least as large as
+     * requested. The default resource is only used if no other resource is
+     * large enough.
+     *
+     * @param {{width?: number, height?: number, density?: string}} target
+     * @param {{baseSize?: number}} [opts] the size of the image in dp, used
+     *  to convert densities. Defaults to 48, the size of launcher icons.
+     * @return {{resource: ImageResource, needsScaling: boolean} | null} the
+     *  match and whether it has to be scaled to the requested size, or null
+     *  if nothing fits
+     */
+    getBestMatch (target = {}, { baseSize } = {}) {
+        const exactMatch = target.density && this.getByDensity(target.density);
+        if (exactMatch) return { resource: exactMatch, needsScaling: false };
+
+        const targetSize = getPixelSize(target, baseSize);
+        const orientation = getOrientation(target.density);
+        const best = targetSize && this
+            .filter(res => !orientation || !res.density || getOrientation(res.density) === orientation)
+            .map(resource => ({ resource, size: getPixelSize(resource, baseSize) }))
+            .filter(({ size }) => size && size.width >= targetSize.width && size.height >= targetSize.height)
+            .sort((a, b) => a.size.width * a.size.height - b.size.width * b.size.height)[0];
+
+        if (best) {
+            const needsScaling = best.size.width !== targetSize.width || best.size.height !== targetSize.height;
+            return { resource: best.resource, needsScaling };
+        }
+
+        return this.defaultResource ? { resource: this.defaultResource, needsScaling: true } : null;
+    }
+
+    /**
+     * Checks whether these resources contain everything the platform
+     * expects, and nothing it does not.
+     *
+     * @param {string} platform
+     * @param {ResourceType} type whether these are icons or splash screens
+     * @param {{projectRoot?: string, legacySplash?: boolean}} [opts] see
+     *  checkImageResources in resource-checker.js
+     * @return {ResourceReport}
+     */
+    checkCompleteness (platform, type, opts) {
+        return checkImageResources(this, platform, type, opts);
+    }
 }
 
+/**
+ * @param {{width?: number, height?: number, density?: string}} image
+ * @param {number} [baseSize] the size in dp
+ * @return {{width: number, height: number} | null} the size in pixels or null
+ *  if it is unknown. Images with only one dimension are considered square.
+ */
+function getPixelSize ({ width, height, density }, baseSize) {
+    if (!width && !height && density) {
+        width = height = densityToSize(density, baseSize);
+    }
+    if (!width && !height) return null;
+
+    return { width: width || height, height: height || width };
+}
+
+function getOrientation (density) {
+    const match = /^(land|port)-/.exec(density || '');
+    return match && match[1];
+}
+
+/** The known preferences shared by all ConfigParser instances by default */
+ConfigParser.preferenceRegistry = new PreferenceRegistry();
+
 module.exports = ConfigParser;
@@ -0,0 +1,137 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+const CordovaError = require('../CordovaError');
+
+const TYPES = ['string', 'boolean', 'number', 'enum', 'list'];
+
+/**
+ * @typedef {'string' | 'boolean' | 'number' | 'enum' | 'list'} PreferenceType
+ *
+ * @typedef {Object} PreferenceDefinition
+ * @prop {string} name
+ * @prop {PreferenceType} type
+ * @prop {*} [default] value used when the preference is not set
+ * @prop {string} [description]
+ * @prop {string[]} [allowed] the allowed values of an enum preference
+ * @prop {string} [platform] the platform the preference is specific to
+ */
+
+/**
+ * Known preferences, declared by platforms and tools so that preference
+ * values can be typed and defaulted.
+ *
+ * Preference names are case insensitive. Platform specific declarations take
+ * precedence over global ones when looking up a preference for a platform.
+ */
+class PreferenceRegistry {
+    constructor () {
+        /** @type {Map<string, Map<string, PreferenceDefinition>>} by platform ('' for global), then lower-cased name */
+        this._definitions = new Map();
+    }
+
+    /**
+     * Declares a preference. Declaring a preference again replaces the
+     * previous declaration.
+     *
+     * @param {string} name
+     * @param {Omit<PreferenceDefinition, 'name'>} definition
+     */
+    register (name, { type = 'string', platform, ...rest } = {}) {
+        if (!TYPES.includes(type)) {
+            throw new CordovaError(`Unknown type "${type}" for preference "${name}". Expected one of ${TYPES.join(', ')}`);
+        }
+        if (type === 'enum' && !Array.isArray(rest.allowed)) {
+            throw new CordovaError(`Enum preference "${name}" must declare its allowed values`);
+        }
+
+        const key = platform || '';
+        if (!this._definitions.has(key)) this._definitions.set(key, new Map());
+
+        const definition = Object.assign({ name, type }, platform ? { platform } : null, rest);
+        this._definitions.get(key).set(name.toLowerCase(), definition);
+    }
+
+    /**
+     * @param {string} name preference name (case insensitive)
+     * @param {string} [platform]
+     * @return {PreferenceDefinition | undefined}
+     */
+    get (name, platform) {
+        const lookup = key => this._definitions.has(key)
+            ? this._definitions.get(key).get(name.toLowerCase())
+            : undefined;
+
+        return (platform && lookup(platform)) || lookup('');
+    }
+
+    /**
+     * @param {string} [platform]
+     * @return {PreferenceDefinition[]} the global preferences and those
+     *  specific to platform
+     */
+    list (platform) {
+        const merged = new Map(this._definitions.get('') || []);
+        if (platform && this._definitions.has(platform)) {
+            this._definitions.get(platform).forEach((def, key) => merged.set(key, def));
+        }
+        return [...merged.values()];
+    }
+
+    /**
+     * Converts a preference value from config.xml to the declared type.
+     *
+     * @param {string} value
+     * @param {PreferenceDefinition} definition
+     * @return {string | boolean | number | string[]}
+     * @throws {CordovaError} if `value` is not valid for the type
+     */
+    static parseValue (value, { name, type, allowed }) {
+        const invalid = expected => new CordovaError(`Preference "${name}" must be ${expected}, got "${value}"`);
+        const trimmed = value.trim();
+
+        switch (type) {
+        case 'boolean': {
+            const lower = trimmed.toLowerCase();
+            if (lower !== 'true' && lower !== 'false') throw invalid('true or false');
+            return lower === 'true';
+        }
+
+        case 'number': {
+            const number = Number(trimmed);
+            if (trimmed === '' || Number.isNaN(number)) throw invalid('a number');
+            return number;
+        }
+
+        case 'enum': {
+            const match = allowed.find(option => option.toLowerCase() === trimmed.toLowerCase());
+            if (match === undefined) throw invalid(`one of ${allowed.join(', ')}`);
+            return match;
+        }
+
+        case 'list':
+            return trimmed.split(',').map(item => item.trim()).filter(Boolean);
+
+        default:
+            return value;
+        }
+    }
+}
+
+module.exports = PreferenceRegistry;
@@ -0,0 +1,237 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+/*
+ * Semantic comparison of two config.xml files. The comparison is based on the
+ * values reported by the ConfigParser getters, so formatting, attribute order
+ * and whitespace around texts do not matter.
+ */
+
+const et = require('elementtree');
+const { definedProps } = require('../util/object-helpers');
+
+/**
+ * @typedef {Object} ConfigChange
+ * @prop {'added' | 'removed' | 'changed'} change
+ * @prop {string} kind what changed: 'widget' (attributes of <widget>),
+ *  'metadata' (name, shortName, description and author), 'platform',
+ *  'preference', 'icon', 'splash', 'resource-file', 'edit-config',
+ *  'config-file', 'plugin', 'plugin-variable', 'engine', 'access',
+ *  'allow-navigation' or 'allow-intent'
+ * @prop {string | null} platform the platform for platform specific
+ *  elements, null for global ones
+ * @prop {string} key identifies the item within its kind and platform, e.g.
+ *  the name of a preference or the src of an icon. Images, files and XML
+ *  changes that share a key are numbered in document order, like
+ *  `icon.png #2` for the second icon with src icon.png.
+ * @prop {string} [plugin] the plugin of a 'plugin-variable'
+ * @prop {*} [before] the value in the old config, unless added
+ * @prop {*} [after] the value in the new config, unless removed
+ */
+
+/**
+ * @param {ConfigParser} a the old config
+ * @param {ConfigParser} b the new config
+ * @return {ConfigChange[]} the changes from a to b. Global changes are
+ *  listed first, then platform specific ones by platform name.
+ */
+function diff (a, b) {
+    const changes = [];
+    const compare = (kind, platform, before, after, extra) => {
+        for (const [key, value] of before) {
+            if (!after.has(key)) {
+                changes.push(Object.assign({ change: 'removed', kind, platform, key }, extra, { before: value }));
+            } else if (!isEqual(value, after.get(key))) {
+                changes.push(Object.assign({ change: 'changed', kind, platform, key }, extra, { before: value, after: after.get(key) }));
+            }
+        }
+        for (const [key, value] of after) {
+            if (!before.has(key)) {
+                changes.push(Object.assign({ change: 'added', kind, platform, key }, extra, { after: value }));
+            }
+        }
+    };
+    const compareScope = platform => {
+        compare('preference', platform, getPreferences(a, platform), getPreferences(b, platform));
+        compare('icon', platform, getImages(a.getIcons(platform), platform), getImages(b.getIcons(platform), platform));
+        compare('splash', platform, getImages(a.getSplashScreens(platform), platform), getImages(b.getSplashScreens(platform), platform));
+        compare('resource-file', platform, getFileResources(a, platform), getFileResources(b, platform));
+        compare('edit-config', platform, getEditConfigs(a, platform), getEditConfigs(b, platform));
+        compare('config-file', platform, getConfigFiles(a, platform), getConfigFiles(b, platform));
+    };
+
+    compare('widget', null, getWidgetAttributes(a), getWidgetAttributes(b));
+    compare('metadata', null, getMetadata(a), getMetadata(b));
+
+    compareScope(null);
+
+    const pluginsA = getPlugins(a);
+    const pluginsB = getPlugins(b);
+    compare('plugin', null, mapValues(pluginsA, plugin => plugin.spec || null), mapValues(pluginsB, plugin => plugin.spec || null));
+    for (const [id, plugin] of pluginsA) {
+        if (!pluginsB.has(id)) continue;
+        compare('plugin-variable', null, getVariables(plugin), getVariables(pluginsB.get(id)), { plugin: id });
+    }
+
+    compare('engine', null, keyBy(a.getEngines(), 'name', engine => engine.spec), keyBy(b.getEngines(), 'name', engine => engine.spec));
+    compare('access', null, keyBy(a.getAccesses(), 'origin'), keyBy(b.getAccesses(), 'origin'));
+    compare('allow-navigation', null, keyBy(a.getAllowNavigations(), 'href'), keyBy(b.getAllowNavigations(), 'href'));
+    compare('allow-intent', null, keyBy(a.getAllowIntents(), 'href'), keyBy(b.getAllowIntents(), 'href'));
+
+    const platformsA = a.getPlatforms();
+    const platformsB = b.getPlatforms();
+    compare('platform', null, toMap(platformsA.map(name => [name, name])), toMap(platformsB.map(name => [name, name])));
+
+    [...new Set([...platformsA, ...platformsB])].sort().forEach(compareScope);
+
+    return changes;
+}
+
+function getWidgetAttributes (config) {
+    const names = Object.keys(config.doc.getroot().attrib).filter(name => !name.startsWith('xmlns'));
+    return toMap(names.map(name => [name, config.getAttribute(name)]));
+}
+
+function getMetadata (config) {
+    const name = normalizeText(config.name());
+    const shortName = config.doc.find('name') ? normalizeText(config.shortName()) : undefined;
+
+    return toMap([
+        ['name', name],
+        ['shortName', shortName !== name ? shortName : undefined],
+        ['description', normalizeText(config.description())],
+        ['author', normalizeText(config.author())]
+    ].filter(([, value]) => value));
+}
+
+function getPreferences (config, platform) {
+    const preferences = config.getPreferences(platform || undefined);
+    const entries = platform
+        ? Object.keys(preferences)
+            .map(name => [name, config.getPlatformPreference(name, platform)])
+            .filter(([, value]) => value)
+        : Object.entries(preferences);
+
+    // Preference names are case insensitive
+    return toMap(entries.map(([name, value]) => [name.toLowerCase(), value]));
+}
+
+function getImages (resources, platform) {
+    const entries = resources
+        .filter(resource => resource.platform === platform)
+        .map(({ platform, ...resource }) => [resource.src || resource.foreground || resource.background, definedProps(resource)]);
+
+    return toMap(withOccurrences(entries));
+}
+
+function getFileResources (config, platform) {
+    const resources = platform
+        ? config.getFileResources(platform)
+        : config.getFileResources(null, true);
+
+    return toMap(withOccurrences(resources.map(({ platform, ...resource }) => [resource.src, definedProps(resource)])));
+}
+
+function getEditConfigs (config, platform) {
+    const globalCount = platform ? config.getEditConfigs().length : 0;
+
+    // The same target may be edited once per mode
+    return toMap(withOccurrences(config.getEditConfigs(platform || undefined).slice(globalCount).map(({ file, target, mode, xmls }) =>
+        [`${file} ${target} ${mode}`, serialize(xmls)]
+    )));
+}
+
+function getConfigFiles (config, platform) {
+    const globalCount = platform ? config.getConfigFiles().length : 0;
+
+    return toMap(withOccurrences(config.getConfigFiles(platform || undefined).slice(globalCount).map(({ target, parent, xmls, ...attrs }) =>
+        [`${target} ${parent}`, Object.assign(definedProps(attrs), { xml: serialize(xmls) })]
+    )));
+}
+
+// Legacy <feature> plugins have their variables as named properties of an array
+function getVariables (plugin) {
+    return toMap(Object.assign({}, plugin.variables));
+}
+
+function getPlugins (config) {
+    return toMap(config.getPlugins().map(plugin => [plugin.name, plugin]));
+}
+
+/**
+ * @param {et.Element[]} elements
+ * @return {string[]} the elements as XML, without whitespace between tags
+ *  and with empty elements self-closed
+ */
+function serialize (elements) {
+    return elements
+        .filter(elem => typeof elem.tag === 'string')
+        .map(elem => et.tostring(elem, { xml_declaration: false })
+            .replace(/>\s+</g, '><')
+            .replace(/<([^\s/>]+)([^>]*)><\/\1>/g, '<$1$2 />')
+            .trim());
+}
+
+function normalizeText (text) {
+    return typeof text === 'string' ? text.replace(/\s+/g, ' ').trim() : text;
+}
+
+function keyBy (items, key, getValue = item => definedProps(item)) {
+    return toMap(items.map(item => [item[key], getValue(item)]));
+}
+
+function mapValues (map, fn) {
+    return new Map([...map].map(([key, value]) => [key, fn(value)]));
+}
+
+/**
+ * Numbers repeated keys, so that entries for the same src or target are all
+ * compared instead of the last one replacing the others.
+ *
+ * @param {Array<[string, *]>} entries
+ * @return {Array<[string, *]>} the entries with keys like `key #2` for the
+ *  second occurrence of a key
+ */
+function withOccurrences (entries) {
+    const counts = new Map();
+
+    return entries.map(([key, value]) => {
+        const count = (counts.get(key) || 0) + 1;
+        counts.set(key, count);
+        return [count > 1 ? `${key} #${count}` : key, value];
+    });
+}
+
+function toMap (entriesOrObject) {
+    return new Map(Array.isArray(entriesOrObject) ? entriesOrObject : Object.entries(entriesOrObject || {}));
+}
+
+function isEqual (a, b) {
+    return stableStringify(a) === stableStringify(b);
+}
+
+function stableStringify (value) {
+    if (value === null || typeof value !== 'object') return JSON.stringify(value);
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+
+    const keys = Object.keys(value).sort();
+    return `{${keys.map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+}
+
+module.exports = { diff };
@@ -0,0 +1,357 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+/*
+ * Built-in schema for config.xml and the validation routine that checks a
+ * parsed document against it. Only the elements that Cordova itself
+ * interprets are described here. Children of <edit-config> and <config-file>
+ * are free-form XML meant for other files and are never inspected.
+ */
+
+const { getSourcePosition } = require('../util/xml-helpers');
+const { hasPlaceholders } = require('./config-variables');
+
+const HOOK_TYPES = [
+    'after_build', 'after_clean', 'after_compile', 'after_docs',
+    'after_emulate', 'after_platform_add', 'after_platform_ls',
+    'after_platform_rm', 'after_platform_search', 'after_platform_update',
+    'after_plugin_add', 'after_plugin_install', 'after_plugin_ls',
+    'after_plugin_rm', 'after_plugin_search', 'after_prepare', 'after_run',
+    'after_serve', 'before_build', 'before_clean', 'before_compile',
+    'before_deploy', 'before_docs', 'before_emulate', 'before_platform_add',
+    'before_platform_ls', 'before_platform_rm', 'before_platform_search',
+    'before_platform_update', 'before_plugin_add', 'before_plugin_install',
+    'before_plugin_ls', 'before_plugin_rm', 'before_plugin_search',
+    'before_plugin_uninstall', 'before_prepare', 'before_run',
+    'before_serve', 'pre_package'
+];
+
+const DENSITIES = ['ldpi', 'mdpi', 'hdpi', 'xhdpi', 'xxhdpi', 'xxxhdpi'];
+
+const required = { required: true };
+const positiveInteger = { pattern: /^[1-9]\d*$/, expected: 'a positive integer' };
+const density = {
+    pattern: new RegExp(`^((land|port)-)?(${DENSITIES.join('|')})$`),
+    expected: `one of ${DENSITIES.join(', ')}`,
+    severity: 'warning'
+};
+
+const COMMON_CHILDREN = [
+    'preference', 'icon', 'splash', 'resource-file', 'edit-config',
+    'config-file', 'access', 'allow-navigation', 'allow-intent', 'hook',
+    'feature'
+];
+
+/**
+ * Describes the elements of config.xml.
+ *
+ * `attributes` maps attribute names to rules. A rule can demand the
+ * attribute be present (`required`), match a `pattern` or be one of a fixed
+ * set of values (`oneOf`). Values with placeholders like `${pkg:version}`
+ * only need to be present. `children` lists the known child elements; if it
+ * is missing, the content of the element is not checked at all.
+ *
+ * @type {Object<string, ElementSchema>}
+ *
+ * @typedef {Object} ElementSchema
+ * @prop {Object<string, AttributeRule>} [attributes]
+ * @prop {string[]} [children]
+ * @prop {function(Object<string, string>): boolean} [requiresSrc] whether
+ *  the `src` attribute is required given the element's attributes
+ *
+ * @typedef {Object} AttributeRule
+ * @prop {boolean} [required]
+ * @prop {RegExp} [pattern]
+ * @prop {string[]} [oneOf]
+ * @prop {string} [expected] human readable description of valid values
+ * @prop {Severity} [severity] severity of a rule violation, defaults to 'error'
+ */
+const SCHEMA = {
+    widget: {
+        attributes: {
+            id: required,
+            version: {
+                required: true,
+                pattern: /^\d+(\.\d+){0,2}(-[0-9A-Za-z.-]+)?(\+[0-9A-Za-z.-]+)?$/,
+                expected: 'a semantic version such as "1.0.0"'
+            },
+            'android-versionCode': positiveInteger,
+            'ios-CFBundleVersion': {
+                pattern: /^\d+(\.\d+){0,2}$/,
+                expected: 'one to three period-separated integers such as "1.0.0"'
+            },
+            'windows-packageVersion': {
+                pattern: /^\d+(\.\d+){0,3}$/,
+                expected: 'one to four period-separated integers such as "1.0.0.0"'
+            }
+        },
+        children: [
+            'name', 'description', 'author', 'content', 'platform', 'engine',
+            'plugin', ...COMMON_CHILDREN
+        ]
+    },
+    name: { children: [] },
+    description: { children: [] },
+    author: { children: [] },
+    content: {},
+    platform: {
+        attributes: { name: required },
+        children: COMMON_CHILDREN
+    },
+    preference: {
+        attributes: { name: required, value: required },
+        children: []
+    },
+    icon: {
+        attributes: { width: positiveInteger, height: positiveInteger, density },
+        // Android adaptive icons are made up of foreground and background
+        requiresSrc: attrs => !(attrs.foreground && attrs.background),
+        children: []
+    },
+    splash: {
+        attributes: { width: positiveInteger, height: positiveInteger, density },
+        requiresSrc: () => true,
+        children: []
+    },
+    'resource-file': {
+        attributes: { src: required, target: required },
+        children: []
+    },
+    'edit-config': {
+        attributes: {
+            file: required,
+            target: required,
+            mode: { required: true, oneOf: ['merge', 'overwrite', 'remove'] }
+        }
+    },
+    'config-file': {
+        attributes: { target: required, parent: required }
+    },
+    access: {
+        attributes: { origin: required },
+        children: []
+    },
+    'allow-navigation': {
+        attributes: { href: required },
+        children: []
+    },
+    'allow-intent': {
+        attributes: { href: required },
+        children: []
+    },
+    engine: {
+        attributes: { name: required },
+        children: []
+    },
+    plugin: {
+        attributes: { name: required },
+        children: ['variable']
+    },
+    variable: {
+        attributes: { name: required, value: required },
+        children: []
+    },
+    hook: {
+        attributes: {
+            type: { required: true, oneOf: HOOK_TYPES, severity: 'warning' },
+            src: required
+        },
+        children: []
+    },
+    feature: {
+        attributes: { name: required },
+        children: ['param']
+    },
+    param: {
+        attributes: { name: required, value: required },
+        children: []
+    }
+};
+
+/**
+ * @typedef {'error' | 'warning'} Severity
+ *
+ * @typedef {Object} ConfigDiagnostic
+ * @prop {Severity} severity
+ * @prop {string} message
+ * @prop {string} tag the element the problem was found on
+ * @prop {string} [attribute] the attribute the problem was found on, if any
+ * @prop {number} [line] 1-based line of the attribute or element, if known
+ * @prop {number} [column] 1-based column of the attribute or element, if known
+ * @prop {string} [suggestion] how the problem could be fixed
+ */
+
+/**
+ * Checks a parsed config.xml against the built-in schema.
+ *
+ * Positions are only reported for documents parsed with `trackPositions`.
+ *
+ * @param {et.ElementTree} doc
+ * @return {ConfigDiagnostic[]} the problems found, in document order
+ */
+function validate (doc) {
+    const root = doc.getroot();
+    if (root.tag !== 'widget') {
+        return [diagnostic(root, {
+            message: `Root element must be <widget>, found <${root.tag}>`,
+            suggestion: 'Rename the root element to <widget>'
+        })];
+    }
+
+    return validateElement(root);
+}
+
+/**
+ * @param {et.Element} elem an element described by SCHEMA
+ * @return {ConfigDiagnostic[]}
+ */
+function validateElement (elem) {
+    const tag = elem.tag;
+    const schema = SCHEMA[tag];
+    const attrs = elem.attrib;
+    const diagnostics = [];
+
+    const rules = Object.assign(
+        schema.requiresSrc && schema.requiresSrc(attrs) ? { src: required } : {},
+        schema.attributes
+    );
+
+    for (const [attribute, rule] of Object.entries(rules)) {
+        const value = attrs[attribute];
+        const severity = rule.severity || 'error';
+
+        if (value === undefined) {
+            if (rule.required) {
+                diagnostics.push(diagnostic(elem, {
+                    severity,
+                    attribute,
+                    message: `<${tag}> is missing the required "${attribute}" attribute`,
+                    suggestion: `Add a "${attribute}" attribute to <${tag}>`
+                }));
+            }
+            continue;
+        }
+
+        // Values like ${pkg:version} are only known once they are resolved
+        if (hasPlaceholders(value)) continue;
+
+        if (rule.oneOf && !rule.oneOf.includes(value)) {
+            const closest = closestMatch(value, rule.oneOf);
+            diagnostics.push(diagnostic(elem, {
+                severity,
+                attribute,
+                message: `Invalid "${attribute}" value "${value}" on <${tag}>`,
+                suggestion: closest
+                    ? `Did you mean "${closest}"?`
+                    : `Use one of ${rule.oneOf.map(v => `"${v}"`).join(', ')}`
+            }));
+        } else if (rule.pattern && !rule.pattern.test(value)) {
+            diagnostics.push(diagnostic(elem, {
+                severity,
+                attribute,
+                message: `Invalid "${attribute}" value "${value}" on <${tag}>`,
+                suggestion: `Use ${rule.expected}`
+            }));
+        }
+    }
+
+    if (schema.children) {
+        for (const child of elem.getchildren()) {
+            diagnostics.push(...validateChild(child, elem, schema.children));
+        }
+    }
+
+    return diagnostics;
+}
+
+/**
+ * @param {et.Element} child
+ * @param {et.Element} parent
+ * @param {string[]} knownTags tags that are allowed as children of parent
+ * @return {ConfigDiagnostic[]}
+ */
+function validateChild (child, parent, knownTags) {
+    const tag = child.tag;
+
+    // Skip comments, processing instructions and namespaced elements
+    if (typeof tag !== 'string' || tag.includes(':')) return [];
+
+    if (knownTags.includes(tag)) return validateElement(child);
+
+    const closest = closestMatch(tag, knownTags);
+    return [diagnostic(child, {
+        severity: 'warning',
+        message: `Unknown element <${tag}> in <${parent.tag}>`,
+        suggestion: closest
+            ? `Did you mean <${closest}>?`
+            : `Remove <${tag}> or move it to where it is supported`
+    })];
+}
+
+/**
+ * @param {et.Element} elem
+ * @param {Partial<ConfigDiagnostic>} details
+ * @return {ConfigDiagnostic}
+ */
+function diagnostic (elem, details) {
+    const position = (details.attribute && getSourcePosition(elem, details.attribute)) ||
+        getSourcePosition(elem);
+
+    return Object.assign({ severity: 'error', tag: elem.tag }, position, details);
+}
+
+/**
+ * Finds the candidate that is most likely what `value` was meant to be.
+ *
+ * @param {string} value
+ * @param {string[]} candidates
+ * @return {string | undefined} the closest candidate or undefined if none
+ *  is close enough to be a plausible typo
+ */
+function closestMatch (value, candidates) {
+    const maxDistance = Math.max(2, Math.floor(value.length / 4));
+
+    return candidates
+        .map(candidate => ({ candidate, distance: editDistance(value.toLowerCase(), candidate) }))
+        .filter(({ distance }) => distance <= maxDistance)
+        .sort((a, b) => a.distance - b.distance)
+        .map(({ candidate }) => candidate)[0];
+}
+
+/**
+ * @param {string} a
+ * @param {string} b
+ * @return {number} the Levenshtein distance between a and b
+ */
+function editDistance (a, b) {
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const curr = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            curr[j] = Math.min(prev[j] + 1, curr[j - 1] + 1, prev[j - 1] + cost);
+        }
+        prev = curr;
+    }
+
+    return prev[b.length];
+}
+
+module.exports = { SCHEMA, HOOK_TYPES, validate };
@@ -0,0 +1,82 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+/*
+ * Placeholders that may be used in config.xml attribute values and texts:
+ *
+ *   ${env:NAME}  the environment variable NAME
+ *   ${pkg:KEY}   the field KEY of package.json, e.g. ${pkg:version}
+ *   ${var:NAME}  the variable NAME passed to ConfigParser
+ *
+ * Nested fields of package.json can be referenced with dots, e.g.
+ * ${pkg:cordova.platforms.0}.
+ */
+
+const CordovaError = require('../CordovaError');
+
+const PLACEHOLDER = /\$\{(env|pkg|var):([^}]+)\}/g;
+
+/**
+ * Replaces the placeholders in `value` with their values from `sources`.
+ *
+ * @param {string} value
+ * @param {{env?: Object, pkg?: Object, var?: Object}} sources
+ * @param {{strict?: boolean, file?: string}} [opts] in strict mode, a
+ *  placeholder that can not be resolved is an error. Otherwise it is left
+ *  as is. `file` is mentioned in the error message.
+ * @return {string}
+ */
+function interpolate (value, sources, { strict = false, file } = {}) {
+    if (typeof value !== 'string') return value;
+
+    return value.replace(PLACEHOLDER, (placeholder, source, key) => {
+        const resolved = lookup(sources[source], key.trim());
+        if (resolved !== undefined) return String(resolved);
+
+        if (strict) {
+            throw new CordovaError(`Unable to resolve ${placeholder}${file ? ` in ${file}` : ''}`);
+        }
+        return placeholder;
+    });
+}
+
+/**
+ * @param {string} value
+ * @return {boolean} whether `value` contains any placeholders
+ */
+function hasPlaceholders (value) {
+    return typeof value === 'string' && new RegExp(PLACEHOLDER.source).test(value);
+}
+
+/**
+ * @param {Object} [obj]
+ * @param {string} key field name or dot separated path of field names
+ * @return {string | number | boolean | undefined} the value of the field or
+ *  undefined if there is no such field or its value is not a primitive
+ */
+function lookup (obj, key) {
+    const value = key.split('.').reduce(
+        (o, k) => o !== null && typeof o === 'object' ? o[k] : undefined,
+        obj
+    );
+
+    return ['string', 'number', 'boolean'].includes(typeof value) ? value : undefined;
+}
+
+module.exports = { interpolate, hasPlaceholders };
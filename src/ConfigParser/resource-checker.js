@@ -0,0 +1,204 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+/*
+ * Knows which icons and splash screens the android and ios platforms expect
+ * and checks whether the resources of a config.xml cover them. Also converts
+ * between Android density buckets and pixel sizes.
+ */
+
+const path = require('node:path');
+const fs = require('fs-extra');
+
+// Scale factors of the Android density buckets relative to mdpi
+const ANDROID_DENSITY_SCALES = { ldpi: 0.75, mdpi: 1, hdpi: 1.5, xhdpi: 2, xxhdpi: 3, xxxhdpi: 4 };
+const ANDROID_DENSITIES = Object.keys(ANDROID_DENSITY_SCALES);
+
+// Size of launcher icons in dp, i.e. in mdpi pixels
+const DEFAULT_BASE_SIZE = 48;
+const IOS_ICON_SIZES = [20, 29, 40, 58, 60, 76, 80, 87, 120, 152, 167, 180, 1024];
+
+/**
+ * The images each platform expects, by platform and resource type.
+ *
+ * A requirement is satisfied by a resource that has the requirement's
+ * `density`, its `width` and `height` or, for requirements with a `file`,
+ * a `src` with that file name.
+ *
+ * @type {Object<string, Object<ResourceType, ImageRequirement[]>>}
+ *
+ * @typedef {'icon' | 'splash'} ResourceType
+ *
+ * @typedef {Object} ImageRequirement
+ * @prop {string} id describes the requirement in reports, e.g. 'mdpi'
+ * @prop {string} [density]
+ * @prop {number} [width]
+ * @prop {number} [height]
+ * @prop {string} [file]
+ */
+const IMAGE_REQUIREMENTS = {
+    android: {
+        // Since cordova-android 11, the splash screen is configured with
+        // preferences instead of <splash> images
+        icon: ANDROID_DENSITIES.map(density => ({ id: density, density }))
+    },
+    ios: {
+        icon: IOS_ICON_SIZES.map(size => ({ id: `${size}x${size}`, width: size, height: size })),
+        splash: [{ id: 'Default@2x~universal~anyany', file: 'Default@2x~universal~anyany.png' }]
+    }
+};
+
+/**
+ * The splash screens per orientation and density used by cordova-android
+ * before version 11. Only checked with the `legacySplash` option.
+ *
+ * @type {Object<string, ImageRequirement[]>}
+ */
+const LEGACY_SPLASH_REQUIREMENTS = {
+    android: ['land', 'port'].flatMap(orientation =>
+        ANDROID_DENSITIES.map(density => ({ id: `${orientation}-${density}`, density: `${orientation}-${density}` }))
+    )
+};
+
+// Images that make up an Android adaptive icon
+const ADAPTIVE_ICON_LAYERS = ['foreground', 'background', 'monochrome'];
+
+/**
+ * @typedef {Object} ResourceReport
+ * @prop {string} platform
+ * @prop {ResourceType} type
+ * @prop {boolean} complete whether nothing is missing or not found
+ * @prop {string[]} missing ids of unsatisfied requirements. For adaptive
+ *  icons, missing layers are reported like 'mdpi background'.
+ * @prop {Array<{requirement: string, resources: ImageResource[]}>} duplicates
+ *  requirements that are satisfied more than once within the same scope.
+ *  Platform resources taking the place of shared ones are no duplicates.
+ * @prop {ImageResource[]} unreferenced resources that satisfy no requirement,
+ *  apart from the default resource that sized images fall back to
+ * @prop {Array<{resource: ImageResource, attribute: string, path: string}>} notFound
+ *  image files that do not exist
+ */
+
+/**
+ * Checks a set of icons or splash screens against the requirements of a
+ * platform. Platforms without known requirements are only checked for
+ * missing files.
+ *
+ * @param {ImageResources} resources
+ * @param {string} platform
+ * @param {ResourceType} type
+ * @param {{projectRoot?: string, legacySplash?: boolean}} [opts]
+ *  `projectRoot` is the directory image paths are relative to. Files are
+ *  not checked without it. `legacySplash` checks the splash screens that
+ *  older platform versions expect, see LEGACY_SPLASH_REQUIREMENTS.
+ * @return {ResourceReport}
+ */
+function checkImageResources (imageResources, platform, type, { projectRoot, legacySplash = false } = {}) {
+    const resources = Array.from(imageResources);
+    const requirements = (legacySplash && type === 'splash' && LEGACY_SPLASH_REQUIREMENTS[platform]) ||
+        (IMAGE_REQUIREMENTS[platform] || {})[type];
+    const report = { platform, type, complete: true, missing: [], duplicates: [], unreferenced: [], notFound: [] };
+
+    if (requirements) {
+        const referenced = new Set();
+        const adaptive = type === 'icon' && resources.some(isAdaptive);
+        const layers = adaptive
+            ? ADAPTIVE_ICON_LAYERS.filter(layer => layer !== 'monochrome' || resources.some(res => res[layer]))
+            : [];
+
+        for (const requirement of requirements) {
+            const matches = resources.filter(res => satisfies(res, requirement));
+            matches.forEach(res => referenced.add(res));
+
+            if (matches.length === 0) {
+                report.missing.push(requirement.id);
+            }
+
+            // Shared resources (platform null) and those of the platform are separate scopes
+            for (const scope of new Set(matches.map(res => res.platform))) {
+                const scopeMatches = matches.filter(res => res.platform === scope);
+                if (scopeMatches.length > 1) {
+                    report.duplicates.push({ requirement: requirement.id, resources: scopeMatches });
+                }
+            }
+
+            for (const layer of layers) {
+                if (matches.length > 0 && !matches.some(res => res[layer])) {
+                    report.missing.push(`${requirement.id} ${layer}`);
+                }
+            }
+        }
+
+        // Sized images fall back to the default one, named files do not
+        const fallback = requirements.some(requirement => requirement.file) ? null : imageResources.defaultResource;
+        report.unreferenced = resources.filter(res => !referenced.has(res) && res !== fallback);
+    }
+
+    if (projectRoot) {
+        for (const resource of resources) {
+            for (const attribute of ['src', ...ADAPTIVE_ICON_LAYERS]) {
+                const value = resource[attribute];
+
+                // Android resource references like @color/background are no files
+                if (!value || value.startsWith('@')) continue;
+
+                const file = path.resolve(projectRoot, value);
+                if (!fs.existsSync(file)) {
+                    report.notFound.push({ resource, attribute, path: file });
+                }
+            }
+        }
+    }
+
+    report.complete = report.missing.length === 0 && report.notFound.length === 0;
+    return report;
+}
+
+/**
+ * @param {string} density an Android density bucket, optionally prefixed
+ *  with an orientation like 'land-hdpi'
+ * @param {number} [baseSize] the size in dp
+ * @return {number | null} the size in pixels, null for unknown densities
+ */
+function densityToSize (density, baseSize = DEFAULT_BASE_SIZE) {
+    const scale = ANDROID_DENSITY_SCALES[String(density).replace(/^(land|port)-/, '')];
+    return scale ? Math.round(baseSize * scale) : null;
+}
+
+function isAdaptive (resource) {
+    return Boolean(resource.foreground || resource.background);
+}
+
+/**
+ * @param {ImageResource} resource
+ * @param {ImageRequirement} requirement
+ * @return {boolean}
+ */
+function satisfies (resource, requirement) {
+    if (requirement.file) {
+        return Boolean(resource.src) && path.basename(resource.src) === requirement.file;
+    }
+    if (requirement.density) {
+        return resource.density === requirement.density;
+    }
+
+    return resource.width === requirement.width && resource.height === requirement.height;
+}
+
+module.exports = { IMAGE_REQUIREMENTS, LEGACY_SPLASH_REQUIREMENTS, checkImageResources, densityToSize };
@@ -0,0 +1,193 @@
+/*
+       Licensed to the Apache Software Foundation (ASF) under one
+       or more contributor license agreements.  See the NOTICE file
+       distributed with this work for additional information
+       regarding copyright ownership.  The ASF licenses this file
+       to you under the Apache License, Version 2.0 (the
+       "License"); you may not use this file except in compliance
+       with the License.  You may obtain a copy of the License at
+
+         http://www.apache.org/licenses/LICENSE-2.0
+
+       Unless required by applicable law or agreed to in writing,
+       software distributed under the License is distributed on an
+       "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+       KIND, either express or implied.  See the License for the
+       specific language governing permissions and limitations
+       under the License.
+*/
+
+const fs = require('fs-extra');
+const path = require('node:path');
+const ConfigParser = require('./ConfigParser/ConfigParser');
+const PluginInfoProvider = require('./PluginInfo/PluginInfoProvider');
+const CordovaError = require('./CordovaError');
+const events = require('./events');
+const superspawn = require('./superspawn');
+
+/**
+ * @typedef {Object} HookScript
+ * @prop {string} hook the hook type, e.g. 'before_prepare'
+ * @prop {string} path absolute path of the script
+ * @prop {'hooks-dir' | 'config' | 'plugin'} source where the script was found
+ * @prop {string} [pluginId] the plugin that declared the script
+ *
+ * @typedef {Object} HookResult
+ * @prop {HookScript} script
+ * @prop {number} duration execution time in milliseconds
+ *
+ * @typedef {Object} HookOptions
+ * @prop {string[]} [platforms] platforms whose <platform> hooks are included
+ * @prop {string[]} [plugins] if set, only the hooks of these plugins are
+ *  included
+ */
+
+/**
+ * Finds and runs the hook scripts of a project.
+ */
+class HooksRunner {
+    /**
+     * @param {string} projectRoot
+     * @param {Object} [opts]
+     * @param {ConfigParser} [opts.config] defaults to the project's
+     *  config.xml, if it exists
+     * @param {PluginInfoProvider} [opts.pluginInfoProvider]
+     * @param {string} [opts.pluginsDir] defaults to `<projectRoot>/plugins`
+     * @param {string} [opts.hooksDir] defaults to `<projectRoot>/hooks`
+     */
+    constructor (projectRoot, {
+        config,
+        pluginInfoProvider = new PluginInfoProvider(),
+        pluginsDir,
+        hooksDir
+    } = {}) {
+        this.projectRoot = path.resolve(projectRoot);
+        this.config = config || loadConfig(this.projectRoot);
+        this.pluginInfoProvider = pluginInfoProvider;
+        this.pluginsDir = path.resolve(this.projectRoot, pluginsDir || 'plugins');
+        this.hooksDir = path.resolve(this.projectRoot, hooksDir || 'hooks');
+    }
+
+    /**
+     * Collects the scripts for `hook` in the order they are run:
+     *
+     * 1. the files in `<hooksDir>/<hook>`, sorted by name
+     * 2. the <hook> elements of config.xml, global ones first
+     * 3. the <hook> elements of the plugins, ordered by plugin ID
+     *
+     * @param {string} hook
+     * @param {HookOptions} [opts]
+     * @return {HookScript[]}
+     */
+    getScripts (hook, { platforms = [], plugins } = {}) {
+        hook = hook.toLowerCase();
+
+        return [
+            ...this._getDirectoryScripts(hook),
+            ...this._getConfigScripts(hook, platforms),
+            ...this._getPluginScripts(hook, platforms, plugins)
+        ];
+    }
+
+    /**
+     * Runs the scripts for `hook` one after another.
+     *
+     * JavaScript files are required and the function they export is called
+     * with the hook context. If it returns a promise, the next script is run
+     * once it is settled. All other scripts are spawned with the project
+     * root as working directory and argument.
+     *
+     * @param {string} hook
+     * @param {HookOptions & Object} [opts] passed to the scripts as
+     *  `context.opts`
+     * @return {Promise<HookResult[]>} rejects with a CordovaError when a
+     *  script fails, without running the remaining scripts
+     */
+    run (hook, opts = {}) {
+        const scripts = this.getScripts(hook, opts);
+        const results = [];
+
+        return scripts.reduce((previous, script) => previous.then(() => {
+            const context = { hook: script.hook, projectRoot: this.projectRoot, opts, script };
+            const start = Date.now();
+
+            events.emit('verbose', `Running ${script.hook} hook script ${path.relative(this.projectRoot, script.path)}`);
+
+            return this._runScript(script, context).then(() => {
+                const duration = Date.now() - start;
+                events.emit('verbose', `Hook script ${path.relative(this.projectRoot, script.path)} finished in ${duration}ms`);
+                results.push({ script, duration });
+            }, err => {
+                throw new CordovaError(`Failed to run ${script.hook} hook script ${script.path}`, err);
+            });
+        }), Promise.resolve()).then(() => results);
+    }
+
+    _runScript (script, context) {
+        if (path.extname(script.path).toLowerCase() === '.js') {
+            return Promise.resolve().then(() => {
+                const hookFunction = require(script.path);
+                if (typeof hookFunction !== 'function') {
+                    events.emit('warn', `Hook script ${script.path} does not export a function, ignoring it`);
+                    return;
+                }
+                return hookFunction(context);
+            });
+        }
+
+        const env = {
+            CORDOVA_HOOK: script.path,
+            CORDOVA_HOOK_TYPE: script.hook,
+            CORDOVA_PLATFORMS: (context.opts.platforms || []).join(',')
+        };
+        if (script.pluginId) env.CORDOVA_PLUGIN_ID = script.pluginId;
+
+        return Promise.resolve(superspawn.spawn(script.path, [this.projectRoot], {
+            cwd: this.projectRoot,
+            stdio: 'inherit',
+            chmod: true,
+            env
+        }));
+    }
+
+    _getDirectoryScripts (hook) {
+        const dir = path.join(this.hooksDir, hook);
+        if (!fs.existsSync(dir)) return [];
+
+        return fs.readdirSync(dir)
+            .filter(name => !name.startsWith('.'))
+            .sort()
+            .map(name => path.join(dir, name))
+            .filter(file => fs.statSync(file).isFile())
+            .map(file => ({ hook, path: file, source: 'hooks-dir' }));
+    }
+
+    _getConfigScripts (hook, platforms) {
+        if (!this.config) return [];
+
+        return this.config.getHookScripts(hook, platforms).map(elem => ({
+            hook,
+            path: path.resolve(this.projectRoot, elem.attrib.src),
+            source: 'config'
+        }));
+    }
+
+    _getPluginScripts (hook, platforms, pluginIds) {
+        return this.pluginInfoProvider.getAllWithinSearchPath(this.pluginsDir)
+            .filter(pluginInfo => !pluginIds || pluginIds.includes(pluginInfo.id))
+            .sort((a, b) => a.id < b.id ? -1 : a.id > b.id ? 1 : 0)
+            .flatMap(pluginInfo => pluginInfo.getHookScripts(hook, platforms).map(elem => ({
+                hook,
+                path: path.resolve(pluginInfo.dir, elem.attrib.src),
+                source: 'plugin',
+                pluginId: pluginInfo.id
+            })));
+    }
+}
+
+function loadConfig (projectRoot) {
+    const configPath = path.join(projectRoot, 'config.xml');
+    return fs.existsSync(configPath) ? new ConfigParser(configPath) : null;
+}
+
+module.exports = HooksRunner;
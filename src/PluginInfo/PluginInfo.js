@@ -19,25 +19,38 @@
 
 const path = require('node:path');
 const fs = require('fs-extra');
-const { parseElementtreeSync } = require('../util/xml-helpers');
+const et = require('elementtree');
+const { parseElementtreeSync, parseElementtree, formatSourceLocation } = require('../util/xml-helpers');
+const { checkEngine, getInstalledVersion, createEngineError } = require('../util/engine-helpers');
 const CordovaError = require('../CordovaError');
+const { LINT_RULES, lint } = require('./plugin-lint');
 
 /**
  * A class for holding the information currently stored in plugin.xml
  *
  * It should also be able to answer questions like whether the plugin
  * is compatible with a given engine version.
+ *
+ * The getters that take a platform also accept a `PlatformContext` to
+ * return the elements whose engine condition the given versions satisfy.
+ * Without engine versions, elements with an engine condition are left out.
  */
 class PluginInfo {
-    constructor (dirname) {
+    /**
+     * @param {string} dirname the plugin directory
+     * @param {{doc?: et.ElementTree}} [opts] the parsed plugin.xml. If it is
+     *  given, the plugin is virtual and plugin.xml is not read from dirname.
+     */
+    constructor (dirname, { doc } = {}) {
         this.dir = dirname;
         this.filepath = path.join(dirname, 'plugin.xml');
+        this.isVirtual = Boolean(doc);
 
-        if (!fs.existsSync(this.filepath)) {
+        if (!doc && !fs.existsSync(this.filepath)) {
             throw new CordovaError(`Cannot find plugin.xml for plugin "${path.basename(dirname)}". Please try adding it again.`);
         }
 
-        this._et = parseElementtreeSync(this.filepath);
+        this._et = doc || parseElementtreeSync(this.filepath, { trackPositions: true });
         const root = this._et.getroot();
 
         this.id = root.attrib.id;
@@ -53,6 +66,54 @@ class PluginInfo {
         this.keywords = keywordText && keywordText.split(',').map(s => s.trim());
     }
 
+    /**
+     * Creates a virtual plugin from the contents of a plugin.xml.
+     *
+     * @param {string} xml
+     * @param {{dir?: string}} [opts] the directory the plugin's files are
+     *  relative to. Defaults to the plugin id.
+     * @return {PluginInfo}
+     */
+    static fromString (xml, opts) {
+        return PluginInfo.fromElementTree(parseElementtree(xml, { trackPositions: true }), opts);
+    }
+
+    /**
+     * Creates a virtual plugin from a parsed plugin.xml.
+     *
+     * @param {et.ElementTree | et.Element} doc the document or its <plugin>
+     *  element. It is used as is, not copied.
+     * @param {{dir?: string}} [opts] the directory the plugin's files are
+     *  relative to. Defaults to the plugin id.
+     * @return {PluginInfo}
+     */
+    static fromElementTree (doc, { dir } = {}) {
+        if (!(doc instanceof et.ElementTree)) doc = new et.ElementTree(doc);
+
+        const root = doc.getroot();
+        if (root.tag !== 'plugin') {
+            throw new CordovaError(`Expected <plugin> as the root element of plugin.xml, found <${root.tag}>`);
+        }
+
+        return new PluginInfo(dir || root.attrib.id || '', { doc });
+    }
+
+    /**
+     * <author>
+     *
+     * @example <author email="dev@cordova.apache.org" href="https://cordova.apache.org">Apache Cordova</author>
+     *
+     * @return {{name: string, email?: string, href?: string} | undefined}
+     */
+    getAuthor () {
+        const author = this._et.find('author');
+        if (!author) return undefined;
+
+        return Object.assign({}, author.attrib, {
+            name: (author.text || '').trim()
+        });
+    }
+
     /**
      * <preference> tag
      *
@@ -77,18 +138,80 @@ class PluginInfo {
             .reduce((acc, pref) => Object.assign(acc, pref), {});
     }
 
+    /**
+     * The variables the plugin can be configured with, i.e. its <preference>
+     * tags. Variables without a default value are required.
+     *
+     * @param {string} platform
+     * @return {PluginVariable[]} names are upper-cased like in `getPreferences`
+     *
+     * @typedef {Object} PluginVariable
+     * @prop {string} name
+     * @prop {boolean} required
+     * @prop {string} [default]
+     */
+    getVariables (platform) {
+        const variables = new Map();
+
+        this._getTags('preference', platform).forEach(({ attrib }) => {
+            if (!attrib.name) return;
+
+            const name = attrib.name.toUpperCase();
+            variables.set(name, attrib.default === undefined
+                ? { name, required: true }
+                : { name, required: false, default: attrib.default }
+            );
+        });
+
+        return [...variables.values()];
+    }
+
+    /**
+     * Determines the values of the plugin variables for an installation.
+     *
+     * CLI variables take precedence over the <variable>s of the plugin in
+     * config.xml, which take precedence over the defaults in plugin.xml.
+     * Variables that the plugin does not declare, like PACKAGE_NAME, are
+     * passed through.
+     *
+     * @param {string} platform
+     * @param {{cliVariables?: Object<string, string>, configVariables?: Object<string, string>}} [sources]
+     * @return {Object<string, string>} variable values by name
+     * @throws {CordovaError} if required variables have no value
+     */
+    resolveVariables (platform, { cliVariables = {}, configVariables = {} } = {}) {
+        const provided = Object.assign({}, configVariables, cliVariables);
+        const defaults = {};
+        const missing = [];
+
+        for (const { name, required, default: value } of this.getVariables(platform)) {
+            if (!required) {
+                defaults[name] = value;
+            } else if (provided[name] === undefined || provided[name] === null) {
+                missing.push(name);
+            }
+        }
+
+        if (missing.length > 0) {
+            throw new CordovaError(`Plugin ${this.id} requires the variables ${missing.join(', ')}. Pass them with --variable NAME=value or add them as <variable> to the <plugin> in config.xml.`);
+        }
+
+        return Object.assign(defaults, provided);
+    }
+
     /**
      * <asset>
      *
      * @param {string} platform
      */
     getAssets (platform) {
-        return this._getTags('asset', platform).map(({ attrib }) => {
+        return this._getTags('asset', platform).map(tag => {
+            const attrib = tag.attrib;
             const src = attrib.src;
             const target = attrib.target;
 
             if (!src || !target) {
-                throw new Error(`Malformed <asset> tag. Both "src" and "target" attributes must be specified in ${this.filepath}`);
+                throw new CordovaError(`Malformed <asset> tag. Both "src" and "target" attributes must be specified in ${this._locate(tag)}`);
             }
 
             return Object.assign({}, attrib, {
@@ -106,12 +229,17 @@ class PluginInfo {
      *  commit="428931ada3891801"
      *  subdir="some/path/here" />
      *
-     * @param {string} platform
+     * Each dependency has a `platform` property that holds the name of the
+     * <platform> section it was declared in or null for top-level ones.
+     *
+     * @param {string|PlatformContext} platform
      */
     getDependencies (platform) {
-        return this._getTags('dependency', platform).map(({ attrib }) => {
+        return this._getScopedTags('dependency', platform).map(({ elem: tag, platform }) => {
+            const attrib = tag.attrib;
+
             if (!attrib.id) {
-                throw new CordovaError(`<dependency> tag is missing id attribute in ${this.filepath}`);
+                throw new CordovaError(`<dependency> tag is missing id attribute in ${this._locate(tag)}`);
             }
 
             return Object.assign({}, attrib, {
@@ -120,15 +248,43 @@ class PluginInfo {
                 url: attrib.url || '',
                 subdir: attrib.subdir || '',
                 commit: attrib.commit,
-                git_ref: attrib.commit
+                git_ref: attrib.commit,
+                platform
             });
         });
     }
 
+    /**
+     * <uses-permission> tags inside of <config-file> tags
+     *
+     * @example
+     * <config-file target="AndroidManifest.xml" parent="/*">
+     *     <uses-permission android:name="android.permission.CAMERA" />
+     * </config-file>
+     *
+     * @param {string|PlatformContext} platform
+     * @return {Permission[]}
+     *
+     * @typedef {Object} Permission
+     * @prop {string} name
+     * @prop {string} target the target of the enclosing <config-file>
+     * @prop {string | null} platform the platform section the permission was
+     *  found in or null for top-level ones
+     */
+    getPermissions (platform) {
+        return [].concat(...this._getScopedTags('config-file', platform).map(({ elem: configFile, platform }) =>
+            configFile.findall('uses-permission').map(({ attrib }) => Object.assign({}, attrib, {
+                name: attrib['android:name'] || attrib.name,
+                target: configFile.attrib.target,
+                platform
+            }))
+        ));
+    }
+
     /**
      * <config-file> tag
      *
-     * @param {string} platform
+     * @param {string|PlatformContext} platform
      */
     getConfigFiles (platform) {
         return this._getTags('config-file', platform).map(tag => {
@@ -264,6 +420,10 @@ class PluginInfo {
     /**
      * <podspec>
      *
+     * Besides the raw `declarations` and `sources`, every podspec has a
+     * `config` like `{ sources: [url], useFrameworks: true, inhibitAllWarnings: true }`
+     * where the declarations are camel-cased and "true"/"false" are booleans.
+     *
      * @example
      *  <podspec>
      *      <config>
@@ -297,7 +457,15 @@ class PluginInfo {
                 .map(t => t.attrib)
                 .reduce((acc, val) => Object.assign(acc, { [val.name]: val }), {});
 
-            return { declarations, sources, libraries };
+            // Same information as sources and declarations, ready to use
+            const podConfig = Object.assign(
+                { sources: config ? config.findall('source').map(el => el.attrib.url) : [] },
+                ...Object.entries(declarations || {}).map(([name, value]) => ({
+                    [camelCase(name)]: /^(true|false)$/i.test(value) ? isStrTrue(value) : value
+                }))
+            );
+
+            return { declarations, sources, libraries, config: podConfig };
         });
     }
 
@@ -347,6 +515,57 @@ class PluginInfo {
         });
     }
 
+    /**
+     * The engines that restrict building the plugin for the given platform.
+     *
+     * These are the engine of the platform itself and custom engines whose
+     * `platform` attribute matches the platform (e.g. `android|ios` or `*`).
+     *
+     * @param {string} platform
+     */
+    getPlatformEngines (platform) {
+        const appliesTo = ({ name, platform: platforms }) => name === `cordova-${platform}` ||
+            Boolean(platforms && platforms.split('|').some(p => p === '*' || p === platform));
+
+        return this.getEngines().filter(appliesTo);
+    }
+
+    /**
+     * Checks the engine requirements against the installed engine versions,
+     * like `ConfigParser#checkEngines`.
+     *
+     * @param {Object<string, string>} installedVersions versions by engine
+     *  name, e.g. `{ cordova: '12.0.0', 'cordova-android': '12.0.1' }`
+     * @param {{throwOnFailure?: boolean}} [opts]
+     * @return {EngineCheck[]}
+     */
+    checkEngines (installedVersions, { throwOnFailure = false } = {}) {
+        const checks = this.getEngines().map(({ name, version }) =>
+            checkEngine(name, version, getInstalledVersion(installedVersions, name))
+        );
+
+        const error = throwOnFailure && createEngineError(checks, this.filepath);
+        if (error) throw error;
+
+        return checks;
+    }
+
+    /**
+     * Checks plugin.xml for mistakes that do not prevent it from being
+     * parsed, e.g. for use in the CI of plugins.
+     *
+     * @param {{rules?: Object<string, LintRule | false>}} [opts] rules that
+     *  are added to or replace `PluginInfo.lintRules` by id. Set a rule to
+     *  false to disable it.
+     * @return {PluginDiagnostic[]} the problems found
+     */
+    lint ({ rules = {} } = {}) {
+        const activeRules = Object.entries(Object.assign({}, PluginInfo.lintRules, rules))
+            .filter(([, rule]) => rule);
+
+        return lint(this, Object.fromEntries(activeRules));
+    }
+
     getPlatforms () {
         return this._et.findall('platform').map(n => {
             return Object.assign({}, n.attrib, { name: n.attrib.name });
@@ -359,10 +578,9 @@ class PluginInfo {
 
     getFrameworks (platform, options) {
         const { cli_variables = {} } = options || {};
-
-        const vars = Object.keys(cli_variables).length === 0
-            ? this.getPreferences(platform)
-            : cli_variables;
+        // Unlike resolveVariables, this does not fail on missing required
+        // variables. PlatformMunger#add_plugin_changes reports them.
+        const vars = Object.assign(this.getPreferences(platform), cli_variables);
 
         const varExpansions = Object.entries(vars)
             .filter(([, value]) => value)
@@ -392,6 +610,16 @@ class PluginInfo {
         });
     }
 
+    /**
+     * All native files and frameworks of a platform, in installation order.
+     *
+     * Pass a context with engine versions to leave out the elements that are
+     * restricted to other versions of the platform, e.g.
+     * `<source-file src="..." engine="cordova-android" versions="<12.0.0" />`.
+     *
+     * @param {string|PlatformContext} platform
+     * @param {Object} [options] with the `cli_variables` for frameworks
+     */
     getFilesAndFrameworks (platform, options) {
         // Please avoid changing the order of the calls below, files will be
         // installed in this order.
@@ -410,37 +638,99 @@ class PluginInfo {
             .concat(this.getPlatformsArray().map(p => `cordova-${p}`));
     }
 
+    /**
+     * Generic access to elements that have no dedicated getter.
+     *
+     * Like the other getters, this returns the top-level elements followed
+     * by those in the <platform> section of the given platform.
+     *
+     * @example pluginInfo.getRaw('config-file/uses-permission', 'android')
+     *
+     * @param {string} tag the tag or path of the elements
+     * @param {string|string[]|PlatformContext} [platform]
+     * @return {RawElement[]}
+     *
+     * @typedef {Object} RawElement
+     * @prop {string} tag
+     * @prop {string | null} platform the platform section the element was
+     *  found in or null for top-level elements
+     * @prop {Object<string, string>} attrib
+     * @prop {string | undefined} text the trimmed text content, if any
+     * @prop {RawElement[]} children the child elements, without comments
+     */
+    getRaw (tag, platform) {
+        return this._getScopedTags(tag, platform).map(({ elem, platform }) => toRawElement(elem, platform));
+    }
+
+    /**
+     * Describes where `elem` is defined, for use in error messages.
+     *
+     * @private
+     *
+     * @param {et.Element} elem an element of this plugin's plugin.xml
+     * @param {string} [attribute] an attribute of elem to point at instead
+     * @return {string} location in the form `path/to/plugin.xml:42:5`
+     */
+    _locate (elem, attribute) {
+        return formatSourceLocation(this.filepath, elem, attribute);
+    }
+
     /**
      * Helper method used by most of the getSomething methods of PluginInfo.
      *
      * Get all elements of a given name. Both in root and in platform sections
-     * for the given platform.
+     * for the given platform. Elements whose engine condition is not
+     * satisfied by the given engine versions are left out.
      *
      * @private
      *
      * @param {string} tag
-     * @param {string|string[]} platform
+     * @param {string|string[]|PlatformContext} platform
      */
     _getTags (tag, platform) {
+        const { engineVersions } = toPlatformContext(platform);
+
         return this._et.findall(tag)
+            .filter(elem => matchesEngineCondition(elem, engineVersions))
             .concat(this._getTagsInPlatform(tag, platform));
     }
 
+    /**
+     * Same as _getTags() but also tells in which scope each element was found.
+     *
+     * @private
+     *
+     * @param {string} tag
+     * @param {string|string[]|PlatformContext} platform
+     * @return {Array<{elem: et.Element, platform: string | null}>} the
+     *  elements along with the name of their platform section or null for
+     *  top-level elements
+     */
+    _getScopedTags (tag, platform) {
+        const { platforms, engineVersions } = toPlatformContext(platform);
+
+        return this._getTags(tag, { engineVersions }).map(elem => ({ elem, platform: null }))
+            .concat(...platforms.filter(Boolean).map(name =>
+                this._getTagsInPlatform(tag, { platform: name, engineVersions })
+                    .map(elem => ({ elem, platform: name }))
+            ));
+    }
+
     /**
      * Same as _getTags() but only looks inside a platform section.
      *
      * @private
      *
      * @param {string} tag
-     * @param {string|string[]} platform
+     * @param {string|string[]|PlatformContext} platform
      */
     _getTagsInPlatform (tag, platform) {
-        const platforms = [].concat(platform);
+        const { platforms, engineVersions } = toPlatformContext(platform);
 
         return [].concat(...platforms.map(platform => {
             const platformTag = this._et.find(`./platform[@name="${platform}"]`);
             return platformTag ? platformTag.findall(tag) : [];
-        }));
+        })).filter(elem => matchesEngineCondition(elem, engineVersions));
     }
 }
 
@@ -449,6 +739,74 @@ function isStrTrue (x) {
     return String(x).toLowerCase() === 'true';
 }
 
+/**
+ * The getters accept a platform name, a list of them or a context that also
+ * holds the versions of the installed engines, e.g.
+ * `{ platform: 'android', engineVersions: { 'cordova-android': '12.0.0' } }`.
+ *
+ * @typedef {Object} PlatformContext
+ * @prop {string|string[]} [platform]
+ * @prop {Object<string, string>} [engineVersions] versions by engine name
+ *
+ * @param {string|string[]|PlatformContext} platform
+ * @return {{platforms: string[], engineVersions?: Object<string, string>}}
+ */
+function toPlatformContext (platform) {
+    if (platform && typeof platform === 'object' && !Array.isArray(platform)) {
+        return { platforms: [].concat(platform.platform || []), engineVersions: platform.engineVersions };
+    }
+
+    return { platforms: [].concat(platform) };
+}
+
+/**
+ * Checks the engine condition of an element like
+ * `<framework src="..." engine="cordova-android" versions=">=12.0.0" />`.
+ *
+ * Elements without an `engine` attribute always match. Conditions can not
+ * be satisfied if the engine versions are unknown or the engine is not
+ * installed, so that never both of `<12` and `>=12` apply.
+ *
+ * @param {et.Element} elem
+ * @param {Object<string, string>} [engineVersions]
+ * @return {boolean}
+ */
+function matchesEngineCondition (elem, engineVersions) {
+    const { engine, versions } = elem.attrib;
+    if (!engine) return true;
+    if (!engineVersions) return false;
+
+    return checkEngine(engine, versions, getInstalledVersion(engineVersions, engine)).satisfied === true;
+}
+
+// Converts attribute names like use-frameworks to useFrameworks
+function camelCase (name) {
+    return name.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+}
+
+/**
+ * @param {et.Element} elem
+ * @param {string | null} platform
+ * @return {RawElement}
+ */
+function toRawElement (elem, platform) {
+    const text = elem.text && elem.text.trim();
+
+    return {
+        tag: elem.tag,
+        platform,
+        attrib: Object.assign({}, elem.attrib),
+        text: text || undefined,
+        children: elem.getchildren()
+            // Skip comments and processing instructions
+            .filter(child => typeof child.tag === 'string')
+            .map(child => toRawElement(child, platform))
+    };
+}
+
+/** The lint rules that `PluginInfo#lint` runs by default */
+PluginInfo.lintRules = Object.assign({}, LINT_RULES);
+
 module.exports = PluginInfo;
 
 // Backwards compat:
@@ -0,0 +1,340 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+const et = require('elementtree');
+const PluginInfo = require('./PluginInfo');
+
+const PLUGIN_XMLNS = 'http://apache.org/cordova/ns/plugins/1.0';
+const ANDROID_XMLNS = 'http://schemas.android.com/apk/res/android';
+
+// Properties that are named differently than their XML attributes
+const ATTRIBUTE_NAMES = {
+    targetDir: 'target-dir',
+    compilerFlags: 'compiler-flags',
+    deviceTarget: 'device-target'
+};
+
+// Properties of the PluginInfo getter output that are not attributes
+const IGNORED_PROPS = ['itemType'];
+
+/**
+ * Creates plugin.xml files programmatically.
+ *
+ * The `add*` methods take the same properties that the corresponding
+ * PluginInfo getters return, so the output of a getter can be fed back
+ * into the builder. Elements that can be defined both globally and for a
+ * platform are added to the <platform> block named by `props.platform`,
+ * if it is set. <platform> blocks are created as needed.
+ *
+ * @example
+ * const xml = new PluginInfoBuilder({ id: 'cordova-plugin-foo', version: '1.0.0' })
+ *     .addJsModule({ name: 'Foo', src: 'www/foo.js', clobbers: ['Foo'] })
+ *     .addSourceFile('android', { src: 'src/android/Foo.java', targetDir: 'src/org/foo' })
+ *     .toXml();
+ */
+class PluginInfoBuilder {
+    /**
+     * @param {PluginMetadata} metadata
+     *
+     * @typedef {Object} PluginMetadata
+     * @prop {string} id
+     * @prop {string} version
+     * @prop {string} [name]
+     * @prop {string} [description]
+     * @prop {string} [license]
+     * @prop {string[]} [keywords]
+     * @prop {string} [repo]
+     * @prop {string} [issue]
+     */
+    constructor ({ id, version, keywords, ...texts }) {
+        this._root = et.Element('plugin', definedAttributes({
+            xmlns: PLUGIN_XMLNS,
+            'xmlns:android': ANDROID_XMLNS,
+            id,
+            version
+        }));
+
+        for (const tag of ['name', 'description', 'license', 'repo', 'issue']) {
+            if (texts[tag] !== undefined) et.SubElement(this._root, tag).text = texts[tag];
+        }
+        if (keywords && keywords.length > 0) {
+            et.SubElement(this._root, 'keywords').text = keywords.join(',');
+        }
+    }
+
+    /**
+     * @param {{name: string, default?: string, platform?: string}} preference
+     *  a variable of the plugin; it is required unless it has a default
+     * @return {this}
+     */
+    addPreference ({ platform, ...props }) {
+        this._add(this._getParent(platform), 'preference', props);
+        return this;
+    }
+
+    /**
+     * @param {{src: string, target: string, platform?: string}} asset
+     * @return {this}
+     */
+    addAsset ({ platform, ...props }) {
+        this._add(this._getParent(platform), 'asset', props);
+        return this;
+    }
+
+    /**
+     * @param {Object} dependency like the output of `getDependencies`
+     * @return {this}
+     */
+    addDependency ({ platform, git_ref, ...props }) {
+        // The getter reports a missing version, url or subdir as empty string
+        const attributes = Object.fromEntries(Object.entries(props).filter(([, value]) => value !== ''));
+
+        // git_ref is an alias of commit in the getter output
+        this._add(this._getParent(platform), 'dependency', Object.assign({ commit: git_ref }, attributes));
+        return this;
+    }
+
+    /**
+     * @param {JsModuleProps} jsModule
+     * @return {this}
+     *
+     * @typedef {Object} JsModuleProps
+     * @prop {string} name
+     * @prop {string} src
+     * @prop {Array<string | {target: string}>} [clobbers]
+     * @prop {Array<string | {target: string}>} [merges]
+     * @prop {boolean} [runs]
+     * @prop {string} [platform]
+     */
+    addJsModule ({ platform, clobbers = [], merges = [], runs = false, ...props }) {
+        const elem = this._add(this._getParent(platform), 'js-module', props);
+
+        clobbers.forEach(target => et.SubElement(elem, 'clobbers', { target: target.target || target }));
+        merges.forEach(target => et.SubElement(elem, 'merges', { target: target.target || target }));
+        if (runs) et.SubElement(elem, 'runs');
+
+        return this;
+    }
+
+    /**
+     * @param {string} platform
+     * @param {Object} sourceFile like the output of `getSourceFiles`
+     * @return {this}
+     */
+    addSourceFile (platform, sourceFile) {
+        this._add(this._getParent(platform), 'source-file', sourceFile);
+        return this;
+    }
+
+    /**
+     * @param {string} platform
+     * @param {Object} headerFile like the output of `getHeaderFiles`
+     * @return {this}
+     */
+    addHeaderFile (platform, headerFile) {
+        this._add(this._getParent(platform), 'header-file', headerFile);
+        return this;
+    }
+
+    /**
+     * @param {string} platform
+     * @param {Object} resourceFile like the output of `getResourceFiles`
+     * @return {this}
+     */
+    addResourceFile (platform, resourceFile) {
+        this._add(this._getParent(platform), 'resource-file', resourceFile);
+        return this;
+    }
+
+    /**
+     * @param {string} platform
+     * @param {Object} libFile like the output of `getLibFiles`
+     * @return {this}
+     */
+    addLibFile (platform, libFile) {
+        this._add(this._getParent(platform), 'lib-file', withoutTargetAlias(libFile));
+        return this;
+    }
+
+    /**
+     * @param {Object} framework like the output of `getFrameworks`
+     * @return {this}
+     */
+    addFramework ({ platform, ...props }) {
+        this._add(this._getParent(platform), 'framework', withoutTargetAlias(props));
+        return this;
+    }
+
+    /**
+     * @param {XmlChangeProps} configFile `target`, `parent` and the other
+     *  attributes of the <config-file>
+     * @return {this}
+     *
+     * @typedef {Object} XmlChangeProps
+     * @prop {string | et.Element | Array<string | et.Element>} [xml] the
+     *  content to add. `xmls` from the getter output is accepted too.
+     * @prop {string} [platform]
+     */
+    addConfigFile ({ platform, ...props }) {
+        this._addXmlChange(this._getParent(platform), 'config-file', props);
+        return this;
+    }
+
+    /**
+     * @param {XmlChangeProps} editConfig `file`, `target`, `mode` and the
+     *  content of the <edit-config>
+     * @return {this}
+     */
+    addEditConfig ({ platform, ...props }) {
+        this._addXmlChange(this._getParent(platform), 'edit-config', props);
+        return this;
+    }
+
+    /**
+     * @param {string} platform
+     * @param {PodspecProps} podspec
+     * @return {this}
+     *
+     * @typedef {Object} PodspecProps
+     * @prop {Object<string, string>} [declarations] attributes of <pods>
+     * @prop {string[] | Object<string, {source: string}>} [sources] URLs of
+     *  spec repositories
+     * @prop {Array<Object> | Object<string, Object>} [libraries] attributes
+     *  of the <pod>s, e.g. name and spec
+     */
+    addPodspec (platform, { declarations, sources, libraries }) {
+        const elem = et.SubElement(this._getParent(platform), 'podspec');
+
+        if (sources) {
+            const config = et.SubElement(elem, 'config');
+            const urls = Array.isArray(sources) ? sources : Object.keys(sources);
+            urls.forEach(url => et.SubElement(config, 'source', { url }));
+        }
+        if (declarations || libraries) {
+            const pods = et.SubElement(elem, 'pods', definedAttributes(declarations || {}));
+            const podAttributes = Array.isArray(libraries) ? libraries : Object.values(libraries || {});
+            podAttributes.forEach(attrs => et.SubElement(pods, 'pod', definedAttributes(attrs)));
+        }
+
+        return this;
+    }
+
+    /**
+     * @param {{type: string, src: string, platform?: string}} hook
+     * @return {this}
+     */
+    addHook ({ platform, ...props }) {
+        this._add(this._getParent(platform), 'hook', props);
+        return this;
+    }
+
+    /**
+     * @param {{name: string, version: string, platform?: string, scriptSrc?: string}} engine
+     * @return {this}
+     */
+    addEngine (engine) {
+        const engines = this._root.find('engines') || et.SubElement(this._root, 'engines');
+        this._add(engines, 'engine', engine);
+        return this;
+    }
+
+    /**
+     * @return {string} the plugin.xml
+     */
+    toXml () {
+        return new et.ElementTree(this._root).write({ xml_declaration: true, indent: 4 });
+    }
+
+    /**
+     * @param {{dir?: string}} [opts] see `PluginInfo.fromString`
+     * @return {PluginInfo} a virtual plugin with the built plugin.xml
+     */
+    toPluginInfo (opts) {
+        return PluginInfo.fromString(this.toXml(), opts);
+    }
+
+    /**
+     * @param {string} [platform]
+     * @return {et.Element} the <platform> block for `platform` (possibly
+     *  created) or the root if `platform` is not set
+     */
+    _getParent (platform) {
+        if (!platform) return this._root;
+
+        return this._root.find(`./platform[@name="${platform}"]`) ||
+            et.SubElement(this._root, 'platform', { name: platform });
+    }
+
+    _add (parent, tag, props) {
+        return et.SubElement(parent, tag, definedAttributes(props));
+    }
+
+    _addXmlChange (parent, tag, { xml, xmls, ...props }) {
+        const elem = this._add(parent, tag, props);
+
+        // Elements are copied so that neither tree changes along with the other
+        [].concat(xml || xmls || []).forEach(child => {
+            elem.append(typeof child === 'string' ? et.XML(child) : copyElement(child));
+        });
+    }
+}
+
+/**
+ * @param {et.Element} elem
+ * @return {et.Element} a deep copy of elem
+ */
+function copyElement (elem) {
+    const copy = et.Element(elem.tag, Object.assign({}, elem.attrib));
+    copy.text = elem.text;
+    copy.tail = elem.tail;
+    elem.getchildren().forEach(child => copy.append(copyElement(child)));
+
+    return copy;
+}
+
+/**
+ * @param {Object} props
+ * @return {Object<string, string>} the XML attributes for props. Unset and
+ *  false values are left out, properties are renamed as necessary.
+ */
+function definedAttributes (props) {
+    const attributes = {};
+
+    for (const [key, value] of Object.entries(props)) {
+        if (value === undefined || value === null || value === false || IGNORED_PROPS.includes(key)) continue;
+
+        attributes[ATTRIBUTE_NAMES[key] || key] = String(value);
+    }
+
+    return attributes;
+}
+
+/**
+ * The getters of frameworks and lib-files report the deprecated `target`
+ * attribute as `deviceTarget`. Writing both would change the getter output.
+ *
+ * @param {Object} props
+ * @return {Object}
+ */
+function withoutTargetAlias ({ deviceTarget, ...props }) {
+    const isAlias = props.target !== undefined && props['device-target'] === undefined && deviceTarget === props.target;
+    return isAlias ? props : Object.assign(props, { deviceTarget });
+}
+
+module.exports = PluginInfoBuilder;
@@ -39,9 +39,13 @@ class PluginInfoProvider {
 
     // Normally you don't need to put() entries, but it's used
     // when copying plugins, and in unit tests.
+    // Virtual plugins (see PluginInfo.fromString) are registered this way
+    // too. They are also found by getAllWithinSearchPath.
     put (pluginInfo) {
         const absPath = path.resolve(pluginInfo.dir);
         this._cache[absPath] = pluginInfo;
+
+        if (pluginInfo.isVirtual) this._getAllCache = {};
     }
 
     // Used for plugin search path processing.
@@ -58,6 +62,15 @@ class PluginInfoProvider {
 }
 
 function getAllHelper (absPath, provider) {
+    const plugins = getAllOnDisk(absPath, provider);
+    const virtualPlugins = Object.entries(provider._cache)
+        .filter(([dir, pluginInfo]) => pluginInfo.isVirtual && isPluginDirOf(absPath, dir))
+        .map(([, pluginInfo]) => pluginInfo);
+
+    return plugins.concat(virtualPlugins.filter(p => !plugins.includes(p)));
+}
+
+function getAllOnDisk (absPath, provider) {
     if (!fs.existsSync(absPath)) {
         return [];
     }
@@ -84,4 +97,14 @@ function getAllHelper (absPath, provider) {
     }).filter(p => p);
 }
 
+// Whether dir is searchPath itself or a (scoped) plugin directory in it
+function isPluginDirOf (searchPath, dir) {
+    const relative = path.relative(searchPath, dir).split(path.sep);
+    if (relative[0] === '..') return false;
+
+    return relative[0] === '' ||
+        relative.length === 1 ||
+        (relative.length === 2 && relative[0].startsWith('@'));
+}
+
 module.exports = PluginInfoProvider;
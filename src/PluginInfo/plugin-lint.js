@@ -0,0 +1,247 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+/*
+ * Lint rules for plugin.xml. Each rule looks for one kind of mistake that
+ * does not prevent the plugin from being parsed but is likely to break its
+ * installation or behavior.
+ */
+
+const path = require('node:path');
+const fs = require('fs-extra');
+const et = require('elementtree');
+const { getSourcePosition } = require('../util/xml-helpers');
+
+// Tags that are supported inside <platform>
+const PLATFORM_TAGS = [
+    'asset', 'config-file', 'dependency', 'edit-config', 'framework',
+    'header-file', 'hook', 'info', 'js-module', 'lib-file', 'plugins-plist',
+    'podspec', 'preference', 'resource-file', 'source-file'
+];
+
+// Tags whose src has to be copied from the plugin directory
+const FILE_TAGS = ['source-file', 'header-file', 'resource-file', 'lib-file'];
+
+// Variables that are always defined during plugin installation
+const BUILT_IN_VARIABLES = ['PACKAGE_NAME'];
+
+/**
+ * The built-in lint rules by id.
+ *
+ * @type {Object<string, LintRule>}
+ *
+ * @typedef {Object} LintRule
+ * @prop {string} description what the rule checks
+ * @prop {function(LintContext): void} check reports the problems it finds
+ *  through `context.report`
+ *
+ * @typedef {Object} LintContext
+ * @prop {PluginInfo} plugin the plugin being linted
+ * @prop {et.ElementTree} doc the parsed plugin.xml
+ * @prop {function(et.Element, Partial<PluginDiagnostic>): void} report
+ */
+const LINT_RULES = {
+    'plugin-id-version': {
+        description: 'The plugin has an id and a version',
+        check ({ doc, report }) {
+            const root = doc.getroot();
+            if (!root.attrib.id) {
+                report(root, {
+                    attribute: 'id',
+                    message: '<plugin> is missing the "id" attribute',
+                    suggestion: 'Add an "id" attribute, usually the npm package name'
+                });
+            }
+            if (!root.attrib.version) {
+                report(root, {
+                    severity: 'warning',
+                    attribute: 'version',
+                    message: '<plugin> is missing the "version" attribute',
+                    suggestion: 'Add a "version" attribute matching the version in package.json'
+                });
+            }
+        }
+    },
+
+    'js-module-src': {
+        description: 'Every <js-module> points to an existing file',
+        check ({ plugin, doc, report }) {
+            for (const elem of findAll(doc, 'js-module')) {
+                const src = elem.attrib.src;
+                if (!src) {
+                    report(elem, { message: '<js-module> is missing the "src" attribute' });
+                } else if (!fs.existsSync(path.resolve(plugin.dir, src))) {
+                    report(elem, {
+                        attribute: 'src',
+                        message: `<js-module> source "${src}" does not exist`,
+                        suggestion: 'Fix the path, it is relative to the plugin directory'
+                    });
+                }
+            }
+        }
+    },
+
+    'file-outside-plugin': {
+        description: 'Native files are taken from within the plugin directory',
+        check ({ plugin, doc, report }) {
+            for (const elem of findAll(doc, ...FILE_TAGS)) {
+                const src = elem.attrib.src;
+                if (!src || isInside(plugin.dir, src)) continue;
+
+                report(elem, {
+                    attribute: 'src',
+                    message: `<${elem.tag}> source "${src}" is outside of the plugin directory`,
+                    suggestion: 'Move the file into the plugin, files outside of it are not published'
+                });
+            }
+        }
+    },
+
+    'duplicate-clobbers': {
+        description: 'No two modules clobber the same target on a platform',
+        check ({ doc, report }) {
+            const globalClobbers = doc.findall('js-module/clobbers');
+            const scopes = [globalClobbers].concat(
+                doc.findall('platform').map(platform => globalClobbers.concat(platform.findall('js-module/clobbers')))
+            );
+            const reported = new Set();
+
+            for (const clobbers of scopes) {
+                const seen = new Set();
+                for (const elem of clobbers) {
+                    const target = elem.attrib.target;
+                    if (seen.has(target) && !reported.has(elem)) {
+                        reported.add(elem);
+                        report(elem, {
+                            severity: 'warning',
+                            attribute: 'target',
+                            message: `"${target}" is clobbered by more than one <js-module>`,
+                            suggestion: 'Remove the duplicate <clobbers> or use <merges>'
+                        });
+                    }
+                    seen.add(target);
+                }
+            }
+        }
+    },
+
+    'unknown-platform-tag': {
+        description: 'Only supported tags are used inside <platform>',
+        check ({ doc, report }) {
+            for (const platform of doc.findall('platform')) {
+                for (const elem of platform.getchildren()) {
+                    if (typeof elem.tag !== 'string' || PLATFORM_TAGS.includes(elem.tag)) continue;
+
+                    report(elem, {
+                        severity: 'warning',
+                        message: `Unknown element <${elem.tag}> in <platform name="${platform.attrib.name}">`,
+                        suggestion: `Use one of ${PLATFORM_TAGS.map(tag => `<${tag}>`).join(', ')}`
+                    });
+                }
+            }
+        }
+    },
+
+    'undefined-variable': {
+        description: 'Variables used in config-file and edit-config bodies are declared as <preference>',
+        check ({ plugin, doc, report }) {
+            const scopes = [{ platform: undefined, parent: doc.getroot() }].concat(
+                doc.findall('platform').map(parent => ({ platform: parent.attrib.name, parent }))
+            );
+
+            for (const { platform, parent } of scopes) {
+                const declared = plugin.getVariables(platform).map(({ name }) => name).concat(BUILT_IN_VARIABLES);
+
+                for (const elem of [...parent.findall('config-file'), ...parent.findall('edit-config')]) {
+                    const body = elem.getchildren()
+                        .filter(child => typeof child.tag === 'string')
+                        .map(child => et.tostring(child, { xml_declaration: false }))
+                        .join('');
+                    const used = new Set(Array.from(body.matchAll(/\$([A-Za-z_]\w*)/g), match => match[1]));
+
+                    for (const name of used) {
+                        // Variables are substituted case sensitively
+                        if (declared.includes(name)) continue;
+
+                        report(elem, {
+                            message: `Variable $${name} in <${elem.tag}> is not declared`,
+                            suggestion: `Add <preference name="${name}" /> to the plugin or to <platform>`
+                        });
+                    }
+                }
+            }
+        }
+    }
+};
+
+/**
+ * @typedef {'error' | 'warning'} Severity
+ *
+ * @typedef {Object} PluginDiagnostic
+ * @prop {string} rule the id of the rule that reported the problem
+ * @prop {Severity} severity
+ * @prop {string} message
+ * @prop {string} file the plugin.xml the problem was found in
+ * @prop {string} tag the element the problem was found on
+ * @prop {string} [attribute] the attribute the problem was found on, if any
+ * @prop {number} [line] 1-based line of the attribute or element
+ * @prop {number} [column] 1-based column of the attribute or element
+ * @prop {string} [suggestion] how the problem could be fixed
+ */
+
+/**
+ * Runs lint rules against a plugin.
+ *
+ * @param {PluginInfo} plugin
+ * @param {Object<string, LintRule>} rules
+ * @return {PluginDiagnostic[]} the problems found, grouped by rule
+ */
+function lint (plugin, rules) {
+    const diagnostics = [];
+
+    for (const [rule, { check }] of Object.entries(rules)) {
+        const report = (elem, details) => {
+            const position = (details.attribute && getSourcePosition(elem, details.attribute)) ||
+                getSourcePosition(elem);
+
+            diagnostics.push(Object.assign({ rule, severity: 'error', file: plugin.filepath, tag: elem.tag }, position, details));
+        };
+
+        check({ plugin, doc: plugin._et, report });
+    }
+
+    return diagnostics;
+}
+
+/**
+ * @param {et.ElementTree} doc
+ * @param {...string} tags
+ * @return {et.Element[]} the elements with one of `tags`, both at the top
+ *  level and in any <platform>
+ */
+function findAll (doc, ...tags) {
+    return [].concat(...tags.map(tag => doc.findall(tag).concat(doc.findall(`platform/${tag}`))));
+}
+
+function isInside (dir, src) {
+    const relative = path.relative(dir, path.resolve(dir, src));
+    return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+module.exports = { LINT_RULES, lint };
@@ -75,6 +75,8 @@ class PluginManager {
      * @param {PluginInfo} plugin A PluginInfo structure representing plugin to install
      * @param {Object} [options={}] An installation options. It is expected but is not necessary
      *   that options would contain 'variables' inner object with 'PACKAGE_NAME' field set by caller.
+     *   Plugin elements restricted to engine versions are only installed if options contain
+     *   matching 'engineVersions' like `{ 'cordova-android': '12.0.0' }`.
      *
      * @returns {Promise}
      */
@@ -86,12 +88,23 @@ class PluginManager {
         // Set default to empty object to play safe when accesing properties
         options = options || {};
 
+        if (operation === PluginManager.INSTALL) {
+            // Fail before any file is touched if required variables are missing
+            try {
+                plugin.resolveVariables(this.platform, { cliVariables: options.variables });
+            } catch (err) {
+                return Promise.reject(err);
+            }
+        }
+
         const actions = new ActionStack();
+        const engineVersions = options.engineVersions;
+        const context = { platform: this.platform, engineVersions };
 
         // gather all files need to be handled during operation ...
-        plugin.getFilesAndFrameworks(this.platform, options)
-            .concat(plugin.getAssets(this.platform))
-            .concat(plugin.getJsModules(this.platform))
+        plugin.getFilesAndFrameworks(context, options)
+            .concat(plugin.getAssets(context))
+            .concat(plugin.getJsModules(context))
             // ... put them into stack ...
             .forEach(item => {
                 const installer = this.project.getInstaller(item.itemType);
@@ -117,10 +130,10 @@ class PluginManager {
                 if (operation === PluginManager.INSTALL) {
                     // Ignore passed `is_top_level` option since platform itself doesn't know
                     // anything about managing dependencies - it's responsibility of caller.
-                    this.munger.add_plugin_changes(plugin, options.variables, /* is_top_level= */true, /* should_increment= */true, options.force);
+                    this.munger.add_plugin_changes(plugin, options.variables, /* is_top_level= */true, /* should_increment= */true, options.force, engineVersions);
                     this.munger.platformJson.addPluginMetadata(plugin);
                 } else {
-                    this.munger.remove_plugin_changes(plugin, /* is_top_level= */true);
+                    this.munger.remove_plugin_changes(plugin, /* is_top_level= */true, engineVersions);
                     this.munger.platformJson.removePluginMetadata(plugin);
                 }
 
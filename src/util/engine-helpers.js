@@ -0,0 +1,150 @@
+/**
+    Licensed to the Apache Software Foundation (ASF) under one
+    or more contributor license agreements.  See the NOTICE file
+    distributed with this work for additional information
+    regarding copyright ownership.  The ASF licenses this file
+    to you under the Apache License, Version 2.0 (the
+    "License"); you may not use this file except in compliance
+    with the License.  You may obtain a copy of the License at
+
+    http://www.apache.org/licenses/LICENSE-2.0
+
+    Unless required by applicable law or agreed to in writing,
+    software distributed under the License is distributed on an
+    "AS IS" BASIS, WITHOUT WARRANTIES OR CONDITIONS OF ANY
+    KIND, either express or implied.  See the License for the
+    specific language governing permissions and limitations
+    under the License.
+*/
+
+/**
+ * Evaluation of the version requirements of <engine> elements in config.xml
+ * and plugin.xml files.
+ */
+
+const semver = require('semver');
+const CordovaError = require('../CordovaError');
+
+const SEMVER_OPTIONS = { includePrerelease: true, loose: true };
+
+/**
+ * @typedef {Object} EngineSpec
+ * @prop {'range' | 'git' | 'path' | 'invalid'} type
+ * @prop {string} [range] the semver range for type 'range'
+ * @prop {string} raw the spec as written
+ *
+ * @typedef {Object} EngineCheck
+ * @prop {string} name the engine name
+ * @prop {string | null} spec the required spec
+ * @prop {string | null} installed the installed version, if any
+ * @prop {boolean | null} satisfied null if it can not be determined
+ * @prop {string} [reason] why satisfied is false or null
+ */
+
+/**
+ * Classifies an engine spec.
+ *
+ * Specs are either semver ranges (optionally prefixed with a package name,
+ * as in `cordova-android@^12.0.0`), git URLs or local paths. Only ranges can
+ * be checked against an installed version.
+ *
+ * @param {string | null} [spec]
+ * @return {EngineSpec}
+ */
+function parseEngineSpec (spec) {
+    const raw = (spec || '').trim();
+
+    if (!raw) return { type: 'range', range: '*', raw };
+
+    if (/^(git(\+[a-z]+)?:|github:|gitlab:|bitbucket:|https?:)/i.test(raw) || /\.git(#.*)?$/.test(raw)) {
+        return { type: 'git', raw };
+    }
+
+    if (/^(file:|\.{1,2}([/\\]|$)|[/\\~]|[a-z]:[/\\])/i.test(raw)) {
+        return { type: 'path', raw };
+    }
+
+    // Strip a package name prefix like `cordova-android@` or `@scope/pkg@`
+    const range = raw.replace(/^(@[^/@\s]+\/)?[a-z][\w.-]*@/i, '');
+    if (semver.validRange(range, SEMVER_OPTIONS)) {
+        return { type: 'range', range, raw };
+    }
+
+    // GitHub shorthand like `apache/cordova-android#rel/12.0.0`
+    if (/^[\w.-]+\/[\w.-]+(#.*)?$/.test(raw)) {
+        return { type: 'git', raw };
+    }
+
+    return { type: 'invalid', raw };
+}
+
+/**
+ * Checks an installed version against an engine spec.
+ *
+ * @param {string} name the engine name
+ * @param {string | null} spec
+ * @param {string | null} [installed] the installed version, if any
+ * @return {EngineCheck}
+ */
+function checkEngine (name, spec, installed) {
+    const check = { name, spec: spec || null, installed: installed || null };
+    const parsed = parseEngineSpec(spec);
+
+    if (parsed.type === 'invalid') {
+        return Object.assign(check, { satisfied: false, reason: `"${parsed.raw}" is neither a semver range, a git URL nor a path` });
+    }
+    if (parsed.type !== 'range') {
+        return Object.assign(check, { satisfied: null, reason: `${parsed.type === 'git' ? 'git URL' : 'path'} specs can not be checked against a version` });
+    }
+    if (!installed) {
+        return Object.assign(check, { satisfied: null, reason: 'not installed' });
+    }
+
+    const version = semver.valid(installed, SEMVER_OPTIONS) || semver.valid(semver.coerce(installed));
+    if (!version) {
+        return Object.assign(check, { satisfied: null, reason: `installed version "${installed}" is not a valid version` });
+    }
+
+    return semver.satisfies(version, parsed.range, SEMVER_OPTIONS)
+        ? Object.assign(check, { satisfied: true })
+        : Object.assign(check, { satisfied: false, reason: `${installed} does not satisfy ${parsed.range}` });
+}
+
+/**
+ * Looks up the installed version of an engine. Platform engines may be
+ * named with or without the `cordova-` prefix on either side.
+ *
+ * @param {Object<string, string>} installedVersions by engine name
+ * @param {string} name
+ * @return {string | undefined}
+ */
+function getInstalledVersion (installedVersions, name) {
+    if (!name) return undefined;
+
+    const bareName = name.replace(/^cordova-/, '');
+    return [name, bareName, `cordova-${bareName}`]
+        .map(key => installedVersions[key])
+        .find(Boolean);
+}
+
+/**
+ * @param {EngineCheck[]} checks
+ * @param {string} source the file that declares the engines
+ * @return {CordovaError | null} an error describing the unsatisfied
+ *  engines or null if there are none
+ */
+function createEngineError (checks, source) {
+    const failed = checks.filter(check => check.satisfied === false);
+    if (failed.length === 0) return null;
+
+    const lines = failed.map(({ name, spec, reason }) => parseEngineSpec(spec).type === 'invalid'
+        ? `  ${name}: ${reason}. Fix the spec of the engine.`
+        : `  ${name}: ${reason}. Install a version matching ${spec} or change the requirement.`
+    );
+
+    return new CordovaError(`Unsatisfied engine requirements in ${source}:\n${lines.join('\n')}`, {
+        info: { engines: failed }
+    });
+}
+
+module.exports = { parseEngineSpec, checkEngine, getInstalledVersion, createEngineError };
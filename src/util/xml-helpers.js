@@ -28,6 +28,48 @@ const path = require('node:path');
 const zip = require('lodash.zip');
 const et = require('elementtree');
 const stripBom = require('strip-bom');
+const { XMLParser } = require('elementtree/lib/parsers/sax');
+
+/**
+ * Source information of elements parsed with `trackPositions` enabled
+ * @type {WeakMap<et.Element, ElementSource>}
+ */
+const elementSources = new WeakMap();
+
+/**
+ * A 1-based position in the source text of a parsed document
+ * @typedef {{line: number, column: number}} SourcePosition
+ *
+ * @typedef {Object} DocumentSource
+ * @prop {string} text the source text, without byte order mark
+ * @prop {string} bom the byte order mark the source started with, if any
+ * @prop {string} eol the line ending used in the source
+ * @prop {string} indentUnit the string used for one level of indentation
+ *
+ * @typedef {Object} RawAttribute
+ * @prop {string} name
+ * @prop {string} space the whitespace in front of the attribute
+ * @prop {string} quote the quote character around the value
+ * @prop {number} start offset of the whitespace in front of the attribute
+ * @prop {number} end offset right after the closing quote
+ *
+ * @typedef {Object} ElementSnapshot
+ * @prop {et.ElementTag} tag
+ * @prop {et.Attributes} attrib
+ * @prop {et.ElementText | null} text
+ * @prop {et.Element[]} children
+ *
+ * @typedef {Object} ElementSource
+ * @prop {DocumentSource} document
+ * @prop {number} start offset of the `<` of the start tag
+ * @prop {number} startTagEnd offset right after the start tag
+ * @prop {number} end offset right after the end tag
+ * @prop {RawAttribute[]} rawAttributes the attributes as written in the source
+ * @prop {SourcePosition} position where the element's start tag begins
+ * @prop {Object<string, SourcePosition>} attributes where each attribute
+ *  of the start tag begins
+ * @prop {ElementSnapshot} original the state of the element after parsing
+ */
 
 /**
  * The part of the <edit-config> interface that is used here
@@ -185,10 +227,86 @@ module.exports = {
 
     /**
      * @param {string} filename
+     * @param {{trackPositions?: boolean}} [opts] if `trackPositions` is set,
+     *  the source position of every element and attribute is recorded and
+     *  can be retrieved with `getSourcePosition`
+     * @return {et.ElementTree}
+     */
+    parseElementtreeSync (filename, opts) {
+        return module.exports.parseElementtree(fs.readFileSync(filename, 'utf8'), opts);
+    },
+
+    /**
+     * Like `parseElementtreeSync`, but parses XML that is already in memory.
+     *
+     * @param {string} text
+     * @param {{trackPositions?: boolean}} [opts]
      * @return {et.ElementTree}
      */
-    parseElementtreeSync (filename) {
-        return et.parse(stripBom(fs.readFileSync(filename, 'utf8')));
+    parseElementtree (text, { trackPositions = false } = {}) {
+        return trackPositions ? parseWithPositions(text) : et.parse(stripBom(text));
+    },
+
+    /**
+     * Returns where `elem` or one of its attributes started in the document
+     * it was parsed from.
+     *
+     * @param {et.Element} elem
+     * @param {string} [attribute] name of an attribute of elem
+     * @return {SourcePosition | undefined} undefined if `elem` was not parsed
+     *  with `trackPositions` enabled (e.g. because it was created later on)
+     *  or if it had no such attribute in the source.
+     */
+    getSourcePosition (elem, attribute) {
+        const elemSource = elementSources.get(elem);
+        if (!elemSource) return undefined;
+
+        return attribute === undefined
+            ? elemSource.position
+            : elemSource.attributes[attribute];
+    },
+
+    /**
+     * Describes where `elem` or one of its attributes can be found in the
+     * usual `file:line:column` notation.
+     *
+     * @param {string} filename the file elem was parsed from
+     * @param {et.Element} elem
+     * @param {string} [attribute] name of an attribute of elem
+     * @return {string} just `filename` if no position is known
+     */
+    formatSourceLocation (filename, elem, attribute) {
+        const position = (attribute !== undefined && module.exports.getSourcePosition(elem, attribute)) ||
+            module.exports.getSourcePosition(elem);
+
+        return position
+            ? `${filename}:${position.line}:${position.column}`
+            : filename;
+    },
+
+    /**
+     * Serializes a document that was parsed with `trackPositions` enabled
+     * while keeping its formatting.
+     *
+     * Everything that was not modified since parsing is written exactly as
+     * it was in the source: indentation, comments, CDATA sections, attribute
+     * order and line endings. Only added, changed or removed elements are
+     * rewritten. Documents without source information are written the same
+     * way `ConfigParser` and `ConfigFile` always did.
+     *
+     * @param {et.ElementTree} doc
+     * @return {string}
+     */
+    writePreservingFormat (doc) {
+        const root = doc.getroot();
+        const rootSource = elementSources.get(root);
+        if (!rootSource) return doc.write({ indent: 4 });
+
+        const { text, bom } = rootSource.document;
+        return bom +
+            text.slice(0, rootSource.start) +
+            serializePreservingFormat(root, '', rootSource.document) +
+            text.slice(rootSource.end);
     },
 
     /**
@@ -207,6 +325,334 @@ module.exports = {
     }
 };
 
+/**
+ * Parses `text` like `et.parse` does, but records the source of every
+ * element on the way.
+ *
+ * Parse errors are augmented with the `line` and `column` at which the
+ * parser gave up.
+ *
+ * @param {string} text
+ * @return {et.ElementTree}
+ */
+function parseWithPositions (text) {
+    const source = stripBom(text);
+    const parser = new XMLParser();
+    const saxParser = parser.parser;
+
+    // sax reports the offset right after the opening `<` of each tag. Since
+    // the tree builder creates elements in document order, we can match
+    // the tags to the elements once the tree is complete.
+    /** @type {{start: number, startTagEnd: number, end: number}[]} */
+    const tags = [];
+    /** @type {number[]} */
+    const openTags = [];
+
+    const { onopentag, onclosetag } = saxParser;
+    saxParser.onopentag = (/** @type {any} */ tag) => {
+        openTags.push(tags.length);
+        tags.push({ start: saxParser.startTagPosition - 1, startTagEnd: saxParser.position, end: -1 });
+        onopentag(tag);
+    };
+    saxParser.onclosetag = (/** @type {string} */ tagName) => {
+        tags[Number(openTags.pop())].end = saxParser.position;
+        onclosetag(tagName);
+    };
+
+    const doc = new et.ElementTree();
+    try {
+        doc.parse(source, parser);
+    } catch (e) {
+        // sax counts lines from 0 and columns up to the offending character
+        Object.assign(e, { line: saxParser.line + 1, column: saxParser.column });
+        throw e;
+    }
+
+    const lineStarts = [0];
+    for (let i = source.indexOf('\n'); i !== -1; i = source.indexOf('\n', i + 1)) {
+        lineStarts.push(i + 1);
+    }
+
+    /** @param {number} offset */
+    const toPosition = offset => offsetToPosition(lineStarts, offset);
+
+    const elements = documentOrder(doc.getroot());
+
+    /** @type {DocumentSource} */
+    const document = {
+        text: source,
+        bom: text.slice(0, text.length - source.length),
+        eol: source.includes('\r\n') ? '\r\n' : '\n',
+        indentUnit: '    '
+    };
+
+    zip(elements, tags).forEach(([elem, { start, startTagEnd, end }]) => {
+        const startTag = source.slice(start, startTagEnd);
+        const attrRegExp = /(\s+)([^\s=<>/"']+)\s*=\s*("[^"]*"|'[^']*')/g;
+
+        /** @type {RawAttribute[]} */
+        const rawAttributes = [];
+        /** @type {Object<string, SourcePosition>} */
+        const attributes = {};
+
+        for (const match of startTag.matchAll(attrRegExp)) {
+            const [raw, space, name, value] = match;
+            const attrStart = start + Number(match.index);
+
+            rawAttributes.push({ name, space, quote: value[0], start: attrStart, end: attrStart + raw.length });
+            attributes[name] = toPosition(attrStart + space.length);
+        }
+
+        elementSources.set(elem, {
+            document,
+            start,
+            startTagEnd,
+            end,
+            rawAttributes,
+            position: toPosition(start),
+            attributes,
+            original: snapshot(elem)
+        });
+    });
+
+    const firstChild = doc.getroot().getchildren()[0];
+    const childIndent = firstChild && lineIndent(firstChild);
+    if (childIndent) document.indentUnit = childIndent;
+
+    return doc;
+}
+
+/**
+ * @param {et.Element} elem
+ * @return {ElementSnapshot}
+ */
+function snapshot (elem) {
+    return {
+        tag: elem.tag,
+        attrib: Object.assign({}, elem.attrib),
+        text: elem.text,
+        children: [...elem.getchildren()]
+    };
+}
+
+/**
+ * @param {et.Element} elem an element parsed with `trackPositions` enabled
+ * @return {string | undefined} the whitespace in front of elem if it is the
+ *  first thing on its line
+ */
+function lineIndent (elem) {
+    const { document: { text }, start } = /** @type {ElementSource} */ (elementSources.get(elem));
+    const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+    const indent = text.slice(lineStart, start);
+
+    return /^[ \t]*$/.test(indent) ? indent : undefined;
+}
+
+/**
+ * @param {et.Element} elem
+ * @return {et.Element[]} elem and all its descendants in document order
+ */
+function documentOrder (elem) {
+    return [elem].concat(...elem.getchildren().map(documentOrder));
+}
+
+/**
+ * @param {number[]} lineStarts offsets at which the lines of the source start
+ * @param {number} offset
+ * @return {SourcePosition}
+ */
+function offsetToPosition (lineStarts, offset) {
+    let line = lineStarts.length - 1;
+    while (lineStarts[line] > offset) line--;
+    return { line: line + 1, column: offset - lineStarts[line] + 1 };
+}
+
+/**
+ * @param {et.Element} elem
+ * @return {boolean} true iff elem and all its descendants are exactly as
+ *  they were parsed
+ */
+function isPristine (elem) {
+    const elemSource = elementSources.get(elem);
+    if (!elemSource) return false;
+
+    const { original } = elemSource;
+    const children = elem.getchildren();
+
+    return elem.tag === original.tag &&
+        elem.text === original.text &&
+        attribsEqual(elem.attrib, original.attrib) &&
+        children.length === original.children.length &&
+        children.every((child, i) => child === original.children[i] && isPristine(child));
+}
+
+/**
+ * @param {et.Element} elem
+ * @param {string} indent the indentation to use if elem is not from source
+ * @param {DocumentSource} document the document that is being written
+ * @return {string}
+ */
+function serializePreservingFormat (elem, indent, document) {
+    const elemSource = elementSources.get(elem);
+
+    // Elements that do not come from this document's source
+    if (!elemSource || elemSource.document !== document) {
+        return serializeNew(elem, indent, document);
+    }
+
+    const { text } = document;
+    const { start, startTagEnd, end, original } = elemSource;
+
+    if (isPristine(elem)) return text.slice(start, end);
+
+    const ownIndent = lineIndent(elem) || indent;
+    const selfClosing = startTagEnd === end;
+    const closeStart = selfClosing ? end : text.lastIndexOf('</', end - 1);
+    const children = elem.getchildren();
+
+    /** @type {string | null} */
+    let content = null;
+    if (children.length > 0) {
+        content = serializeChildren(elem, ownIndent, document);
+    } else if (original.children.length === 0 && elem.text === original.text) {
+        content = selfClosing ? null : text.slice(startTagEnd, closeStart);
+    } else if (elem.text && String(elem.text).trim()) {
+        content = escapeText(String(elem.text));
+    } else if (!selfClosing) {
+        content = '';
+    }
+
+    const startTag = elem.tag === original.tag && attribsEqual(elem.attrib, original.attrib)
+        ? text.slice(start, startTagEnd)
+        : rebuildStartTag(elem, elemSource);
+
+    if (content === null) return startTag;
+
+    const endTag = !selfClosing && elem.tag === original.tag
+        ? text.slice(closeStart, end)
+        : `</${elem.tag}>`;
+
+    return startTag.replace(/\s*\/>$/, '>') + content + endTag;
+}
+
+/**
+ * Serializes the children of an element that comes from source, reusing
+ * the original text between them.
+ *
+ * @param {et.Element} elem
+ * @param {string} indent the indentation of elem
+ * @param {DocumentSource} document
+ * @return {string}
+ */
+function serializeChildren (elem, indent, document) {
+    const { text, eol, indentUnit } = document;
+    const { startTagEnd, end, original } = /** @type {ElementSource} */ (elementSources.get(elem));
+    const originalChildren = original.children;
+    const originalIndex = new Map(originalChildren.map((child, i) => [child, i]));
+
+    /** @param {number} i */
+    const sourceOf = i => /** @type {ElementSource} */ (elementSources.get(originalChildren[i]));
+    /** @param {number} i */
+    const textBefore = i => text.slice(i === 0 ? startTagEnd : sourceOf(i - 1).end, sourceOf(i).start);
+
+    const childIndent = (originalChildren.length > 0 && lineIndent(originalChildren[0])) ||
+        indent + indentUnit;
+
+    let content = '';
+    for (const child of elem.getchildren()) {
+        const i = originalIndex.get(child);
+        content += i === undefined ? eol + childIndent : textBefore(i);
+        content += serializePreservingFormat(child, childIndent, document);
+    }
+
+    if (originalChildren.length === 0) return content + eol + indent;
+
+    const lastChild = sourceOf(originalChildren.length - 1);
+    return content + text.slice(lastChild.end, text.lastIndexOf('</', end - 1));
+}
+
+/**
+ * Rebuilds the start tag of an element that comes from source. Unchanged
+ * attributes are kept as they were, new ones are appended.
+ *
+ * @param {et.Element} elem
+ * @param {ElementSource} elemSource
+ * @return {string}
+ */
+function rebuildStartTag (elem, elemSource) {
+    const { document: { text }, start, startTagEnd, rawAttributes, original } = elemSource;
+    const attrib = elem.attrib;
+    const originalNames = new Set(rawAttributes.map(({ name }) => name));
+
+    const lastAttribute = rawAttributes[rawAttributes.length - 1];
+    const tagEnd = text.slice(lastAttribute ? lastAttribute.end : start + 1 + String(original.tag).length, startTagEnd);
+
+    const attributes = rawAttributes
+        .filter(({ name }) => name in attrib)
+        .map(raw => attrib[raw.name] === original.attrib[raw.name]
+            ? text.slice(raw.start, raw.end)
+            : `${raw.space}${raw.name}=${raw.quote}${escapeAttrib(attrib[raw.name], raw.quote)}${raw.quote}`
+        );
+
+    const newAttributes = Object.keys(attrib)
+        .filter(name => !originalNames.has(name))
+        .map(name => ` ${name}="${escapeAttrib(attrib[name], '"')}"`);
+
+    return `<${elem.tag}${attributes.join('')}${newAttributes.join('')}${tagEnd}`;
+}
+
+/**
+ * Serializes an element that does not come from source the same way
+ * elementtree would, indented to fit in at its new place.
+ *
+ * @param {et.Element} elem
+ * @param {string} indent
+ * @param {DocumentSource} document
+ * @return {string}
+ */
+function serializeNew (elem, indent, { eol, indentUnit }) {
+    const xml = new et.ElementTree(elem).write({ xml_declaration: false, indent: 4 });
+
+    return xml.replace(/\n$/, '').split('\n')
+        .map((line, i) => {
+            if (i === 0) return line;
+            const [, spaces, rest] = /** @type {RegExpMatchArray} */ (line.match(/^( *)(.*)$/));
+            return indent + indentUnit.repeat(spaces.length / 4) + rest;
+        })
+        .join(eol);
+}
+
+/**
+ * @param {string} text
+ * @return {string}
+ */
+function escapeText (text) {
+    return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+/**
+ * @param {any} value
+ * @param {string} quote the quote character the value will be enclosed in
+ * @return {string}
+ */
+function escapeAttrib (value, quote) {
+    return escapeText(String(value))
+        .replace(/\n/g, '&#xA;')
+        .replace(/\r/g, '&#xD;')
+        .replace(new RegExp(quote, 'g'), quote === '"' ? '&quot;' : '&apos;');
+}
+
+/**
+ * @param {et.Attributes} a
+ * @param {et.Attributes} b
+ * @return {boolean}
+ */
+function attribsEqual (a, b) {
+    const aKeys = Object.keys(a);
+    return aKeys.length === Object.keys(b).length &&
+        aKeys.every(key => key in b && a[key] === b[key]);
+}
+
 /**
  * @param {et.ElementTree} doc
  * @param {et.Element[]} nodes
@@ -341,6 +787,9 @@ function mergeXml (src, dest, platform, clobber) {
 // Expose for testing.
 module.exports.mergeXml = mergeXml;
 
+// Tags that mergeXml does not merge
+module.exports.mergeXml.DENIED_TAGS = DENIED_TAGS;
+
 /**
  * @param {et.Element} elm1
  * @param {et.Element} elm2